@@ -3,6 +3,14 @@
 
 window.ENV = {
   // Set your backend base URL (e.g., 'https://api.yourdomain.com/v1')
-  API_BASE_URL: 'https://api.example.com/v1'
+  API_BASE_URL: 'https://api.example.com/v1',
+
+  // Aadhaar e-KYC (required): 'mock' (local, OTP shown as a toast) or 'http'.
+  // Without it provider e-KYC is unavailable.
+  AADHAAR_EKYC: 'mock',
+  // Mock outcome: 'success', 'mismatch' or 'timeout'
+  AADHAAR_EKYC_SCENARIO: 'success'
+  // With 'http', requests go to AADHAAR_VERIFY_URL (default CONSTANTS.API.AADHAAR_VERIFY)
+  // AADHAAR_VERIFY_URL: 'https://api.yourdomain.com/v1/aadhaar/verify'
 };
 
@@ -2,8 +2,14 @@
 import { homeView } from './views/home.view.js';
 import { providersView } from './views/providers.view.js';
 import { bookingView } from './views/booking.view.js';
+import { authView } from './views/auth.view.js';
 import { ApiService } from './services/api.service.js';
 
+// Views that need a login or a role (see AccessControl.MATRIX)
+const VIEW_PERMISSIONS = {
+    bookings: 'booking:read'
+};
+
 class QuickServeApp {
     constructor() {
         this.currentView = 'home';
@@ -17,6 +23,9 @@ class QuickServeApp {
             // Initialize loading screen
             this.showLoading();
             
+            // Wait for persisted data (IndexedDB hydrates asynchronously)
+            await Storage.ready;
+            
             // Load services data
             await this.loadServices();
             
@@ -26,6 +35,9 @@ class QuickServeApp {
             // Setup event listeners
             this.setupEventListeners();
             
+            // Keep header badges in sync with storage (including other tabs)
+            this.bindStorageSubscriptions();
+            
             // Hide loading screen
             this.hideLoading();
             
@@ -54,6 +66,7 @@ class QuickServeApp {
         homeView.init(this.services);
         providersView.init(this.providers);
         bookingView.init();
+        authView.init(window.AuthFlow);
     }
 
     setupEventListeners() {
@@ -79,7 +92,94 @@ class QuickServeApp {
         }
     }
 
+    bindStorageSubscriptions() {
+        this.updateBadges();
+        Storage.subscribe('notifications', () => this.updateBadges());
+        Storage.subscribe('cart', () => this.updateBadges());
+        Storage.subscribe('requestOutbox', () => this.updateBadges());
+
+        // Changes made offline that the server turned down on replay
+        window.ApiService.queue.onConflict(({ error }) => {
+            this.showError(`A change you made while offline could not be saved: ${error.message}`);
+        });
+        document.addEventListener('request:overflow', (event) => {
+            this.showError(event.detail.error.message);
+        });
+
+        // Encryption keys that could not be opened, or values they cannot read
+        document.addEventListener('storage:encryption', (event) => this.showEncryptionStatus(event.detail));
+        this.showEncryptionStatus(Storage.getEncryptionStatus());
+
+        // Writes that could not be saved even after evicting cached data
+        document.addEventListener('storage:full', (event) => {
+            if (event.detail.critical.length > 0) {
+                this.showError('Device storage is full. Your latest changes are not saved yet - free up space and keep this tab open.');
+            }
+        });
+
+        // Sessions that timed out or were revoked from another device
+        Auth.events.on('session-expired', () => {
+            this.showError('Your session has ended. Please log in again.');
+        });
+
+        // API tokens that could not be refreshed: sign in again
+        document.addEventListener('auth:failure', () => {
+            if (Storage.getCurrentUser()) {
+                Auth.sessions.end('expired');
+            }
+            authView.open();
+        });
+
+        // Notifications and cart belong to whoever is signed in
+        Auth.onUserChange(() => this.updateBadges());
+    }
+
+    showEncryptionStatus(status) {
+        if (!status.supported) {
+            this.showError('This browser cannot encrypt saved data, so passwords and codes are stored unprotected on this device.');
+        } else if (status.error) {
+            this.showError('Secure storage is unavailable. Your latest changes are not saved yet - keep this tab open and reload later.');
+        } else if (status.unreadable.length > 0) {
+            this.showError('Some saved data could not be decrypted on this device and is unavailable for now.');
+        }
+    }
+
+    updateBadges() {
+        const notificationBadge = document.querySelector('.notification-badge');
+        if (notificationBadge) {
+            const unread = Storage.getUnreadNotificationsCount();
+            notificationBadge.textContent = unread;
+            notificationBadge.style.display = unread > 0 ? '' : 'none';
+        }
+
+        const cartBadge = document.querySelector('.cart-badge');
+        if (cartBadge) {
+            const cartCount = Storage.getCollection('cart').reduce((total, item) => total + (item.quantity || 1), 0);
+            cartBadge.textContent = cartCount;
+        }
+
+        const pendingChanges = document.getElementById('pendingChanges');
+        if (pendingChanges) {
+            const { pending } = window.ApiService.queue.getStatus();
+            pendingChanges.querySelector('.pending-changes-text').textContent = `${pending} change${pending === 1 ? '' : 's'} pending`;
+            pendingChanges.hidden = pending === 0;
+        }
+    }
+
     showView(viewName) {
+        const permission = VIEW_PERMISSIONS[viewName];
+        if (permission) {
+            const access = Auth.guard(permission, AccessControl.ANY);
+            if (!access.allowed) {
+                if (access.reason === 'unauthenticated') {
+                    authView.open();
+                } else {
+                    this.showError(access.message);
+                }
+                return;
+            }
+        }
+
         // Hide all views
         document.querySelectorAll('.view').forEach(view => {
             view.style.display = 'none';
@@ -6,10 +6,25 @@
 class ApiService {
     constructor() {
         this.baseURL = this.getBaseURL();
-        this.retryAttempts = 3;
+        // Defaults for the per-request `retry` option
+        this.retryPolicy = { attempts: 3, baseDelayMs: 1000, maxDelayMs: 30 * 1000 };
         this.timeoutDuration = 10000;
-        this.authToken = Storage.getItem('authToken');
-        this.refreshToken = Storage.getItem('refreshToken');
+        // One circuit breaker per host (see circuit-breaker.js)
+        this.breakers = new Map();
+        this.probeTimer = null;
+        // Bearer tokens come from a provider (see token-provider.js)
+        this.tokenProvider = new StoredTokenProvider(Storage, () => `${this.baseURL}${API_ENDPOINTS.AUTH.REFRESH}`);
+        // Refresh tokens this long before their JWT `exp`
+        this.tokenRefreshLeewayMs = 60 * 1000;
+        // The one refresh in flight, shared by every request that needs it
+        this.refreshPromise = null;
+        // Idempotency-Key values reused across retries and reloads
+        this.idempotencyKeys = new IdempotencyKeyStore(Storage);
+        // Cached GET responses (see response-cache.js) and GETs in flight
+        this.cache = new ResponseCache(API_CACHE_POLICIES);
+        this.inFlight = new Map();
+        // Mutations saved while offline (see request-queue.js)
+        this.queue = new RequestQueue(Storage, this);
         this.interceptors = {
             request: [],
             response: []
@@ -47,6 +62,17 @@ class ApiService {
         return base && base.trim() !== '' ? base : null;
     }
 
+    /**
+     * Take bearer tokens from another source, e.g. the Supabase session
+     */
+    setTokenProvider(provider) {
+        this.tokenProvider = provider;
+    }
+
+    get authToken() {
+        return this.tokenProvider.getAccessToken();
+    }
+
     /**
      * Initialize request and response interceptors
      */
@@ -76,17 +102,11 @@ class ApiService {
             async (error) => {
                 const originalRequest = error.config;
 
-                // Handle 401 errors with token refresh
-                if (error.response?.status === 401 && !originalRequest._retry) {
-                    originalRequest._retry = true;
-
-                    try {
-                        await this.refreshAuthToken();
-                        return this.request(originalRequest);
-                    } catch (refreshError) {
-                        this.handleAuthFailure();
-                        throw refreshError;
-                    }
+                // Handle 401 errors with token refresh; concurrent 401s wait
+                // for the same refresh and are then replayed
+                if (error.status === 401 && originalRequest && !originalRequest._retry) {
+                    await this.refreshAuthToken();
+                    return this.request({ ...originalRequest, _retry: true });
                 }
 
                 return Promise.reject(error);
@@ -109,9 +129,25 @@ class ApiService {
     }
 
     /**
-     * Main request method
+     * Main request method. Config options besides fetch's:
+     * - idempotencyKey: true to send an Idempotency-Key that is reused for
+     *   retries and for the same request after a reload, or a key string
+     * - cachePolicy: overrides the endpoint's cache strategy for a GET
+     * - queueable: save a mutation for later when offline or unreachable;
+     *   resolves { status: 202, queued: true } in that case
+     * - retry: false, a number of attempts, or { attempts, baseDelayMs,
+     *   maxDelayMs, retryOn(error) } merged over this.retryPolicy
      */
     async request(config) {
+        if ((config.method || 'GET').toUpperCase() === 'GET' && !config._network) {
+            return this.cachedGet(config);
+        }
+
+        // Renew a token that is about to expire instead of waiting for a 401
+        if (!config._retry && this.isTokenExpiring()) {
+            await this.refreshAuthToken().catch(() => {});
+        }
+
         // Apply request interceptors
         let finalConfig = { ...config };
         for (const interceptor of this.interceptors.request) {
@@ -125,9 +161,29 @@ class ApiService {
             ...finalConfig.headers
         };
 
+        // One key for every attempt of this request
+        const persistKey = config.idempotencyKey === true;
+        if (config.idempotencyKey) {
+            finalConfig.headers['Idempotency-Key'] = persistKey
+                ? this.idempotencyKeys.keyFor(finalConfig.method || 'GET', finalConfig.url, finalConfig.data)
+                : config.idempotencyKey;
+        }
+        delete finalConfig.idempotencyKey;
+        delete finalConfig.cachePolicy;
+        delete finalConfig.queueable;
+        delete finalConfig.retry;
+        const queueable = config.queueable && !config._replay && RequestQueue.canQueue(finalConfig);
+        if (queueable && RequestQueue.isOffline()) {
+            return this.queue.enqueue(finalConfig);
+        }
+        const releaseKey = () => {
+            if (persistKey) this.idempotencyKeys.release(finalConfig.method || 'GET', finalConfig.url, finalConfig.data);
+        };
+
         let lastError;
+        const retry = this.retryPolicyFor(config);
 
-        for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+        for (let attempt = 1; attempt <= retry.attempts; attempt++) {
             try {
                 const response = await this.makeRequest(finalConfig);
 
@@ -141,10 +197,16 @@ class ApiService {
                     }
                 }
 
+                releaseKey();
+                if ((finalConfig.method || 'GET').toUpperCase() !== 'GET') {
+                    this.cache.invalidate(finalConfig.url);
+                }
                 return finalResponse;
 
             } catch (error) {
                 lastError = error;
+                // Error interceptors need the request to replay it
+                error.config = error.config || config;
 
                 // Apply error interceptors
                 for (const interceptor of this.interceptors.response) {
@@ -160,19 +222,83 @@ class ApiService {
 
                 // Don't retry on certain errors
                 if (this.shouldNotRetry(error)) {
+                    // The server answered, so the request did not take effect
+                    if (error.status !== 401) releaseKey();
+                    break;
+                }
+                if (retry.retryOn && !retry.retryOn(error)) {
                     break;
                 }
 
-                // Wait before retry
-                if (attempt < this.retryAttempts) {
-                    await this.delay(this.getRetryDelay(attempt));
+                // Wait before retry; give up when the server asks for longer than maxDelayMs
+                if (attempt < retry.attempts) {
+                    const wait = this.getRetryDelay(attempt, error, retry);
+                    if (wait === null) break;
+                    await this.delay(wait);
                 }
             }
         }
 
+        if (queueable && RequestQueue.isNetworkError(lastError)) {
+            return this.queue.enqueue(finalConfig);
+        }
         throw lastError;
     }
 
+    /**
+     * GET through the response cache. Fresh entries are served as is,
+     * stale-while-revalidate serves stale ones and refreshes them in the
+     * background, everything else goes to the network.
+     */
+    async cachedGet(config) {
+        const policy = this.cache.policyFor(config.url, config.cachePolicy);
+        const key = this.cache.key(config.url);
+        const entry = policy.strategy === 'network-only' ? null : this.cache.get(key);
+
+        if (entry && this.cache.isFresh(entry, policy)) {
+            return this.cache.toResponse(entry);
+        }
+        if (entry && policy.strategy === 'stale-while-revalidate' && this.cache.isServable(entry, policy)) {
+            this.fetchGet(config, key, policy, entry)
+                .catch(error => console.warn('Background revalidation failed:', error.message));
+            return this.cache.toResponse(entry, true);
+        }
+        return this.fetchGet(config, key, policy, entry);
+    }
+
+    /**
+     * Network leg of a GET. Identical GETs in flight share one request;
+     * cached endpoints send the entry's validators and fall back to it when
+     * the server cannot be reached.
+     */
+    fetchGet(config, key, policy, entry) {
+        if (!this.inFlight.has(key)) {
+            const cached = policy.strategy !== 'network-only';
+            const promise = this.request({
+                ...config,
+                headers: { ...this.cache.validators(entry), ...config.headers },
+                _network: true
+            })
+                .then(response => cached ? this.cache.store(key, config.url, response) : response)
+                .catch(error => {
+                    const unreachable = !(error instanceof ApiError) || error.status >= 500 || error.status === 408;
+                    if (entry && unreachable) return this.cache.toResponse(entry, true);
+                    throw error;
+                })
+                .finally(() => this.inFlight.delete(key));
+            this.inFlight.set(key, promise);
+        }
+        return this.inFlight.get(key);
+    }
+
+    /**
+     * Drop cached GET responses a change to `url` may affect, e.g. after
+     * a write made outside ApiService
+     */
+    invalidateCache(url) {
+        return this.cache.invalidate(url);
+    }
+
     /**
      * Make the actual HTTP request
      */
@@ -184,20 +310,47 @@ class ApiService {
             // If baseURL is disabled/null and relative URL provided, block the request gracefully
             const url = config.url.startsWith('http')
                 ? config.url
-                : (this.baseURL ? `${this.baseURL}${config.url}` : (() => { throw new ApiError(400, 'API disabled', { message: 'API base URL not set' }); })());
-
-            const response = await fetch(url, {
-                method: config.method || 'GET',
-                headers: config.headers,
-                body: config.data ? JSON.stringify(config.data) : undefined,
-                signal: controller.signal,
-                ...config
-            });
+                : (this.baseURL ? `${this.baseURL}${config.url}` : (() => { throw new ApiError(400, 'API disabled', { message: 'API base URL not set' }); })());
+
+            // Fail fast while the host's circuit is open
+            const breaker = this.breakerFor(url);
+            if (!breaker.allowRequest(!!config._probe)) {
+                const error = new ApiError(503, 'Service Unavailable', {
+                    message: 'The server is not responding. Please try again shortly.',
+                    circuitOpen: true
+                });
+                error.retryAfterMs = breaker.retryAfterMs();
+                throw error;
+            }
+
+            let response;
+            try {
+                response = await fetch(url, {
+                    method: config.method || 'GET',
+                    headers: config.headers,
+                    body: config.data ? JSON.stringify(config.data) : undefined,
+                    signal: controller.signal,
+                    ...config
+                });
+            } catch (error) {
+                breaker.record(false);
+                // fetch() rejects with a TypeError when the network fails
+                if (error instanceof TypeError) error.network = true;
+                throw error;
+            }
+            breaker.record(response.status < 500);
 
             clearTimeout(timeoutId);
 
+            // Not modified: the caller's cached copy is still current
+            if (response.status === 304) {
+                return { data: null, status: 304, headers: response.headers };
+            }
+
             if (!response.ok) {
-                throw new ApiError(response.status, response.statusText, await this.parseErrorResponse(response));
+                const error = new ApiError(response.status, response.statusText, await this.parseErrorResponse(response));
+                error.retryAfterMs = ApiService.parseRetryAfter(response.headers.get('retry-after'));
+                throw error;
             }
 
             const data = await this.parseResponse(response);
@@ -318,74 +471,72 @@ class ApiService {
     }
 
     /**
-     * Refresh authentication token
+     * Expiry (ms) from a JWT's `exp` claim, or null when the token is not
+     * a JWT
      */
-    async refreshAuthToken() {
-        if (!this.refreshToken) {
-            throw new Error('No refresh token available');
-        }
-
+    static tokenExpiry(token) {
         try {
-            const response = await fetch(`${this.baseURL}/auth/refresh`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.refreshToken}`
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error('Token refresh failed');
-            }
-
-            const data = await response.json();
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const { exp } = JSON.parse(atob(payload));
+            return typeof exp === 'number' ? exp * 1000 : null;
+        } catch {
+            return null;
+        }
+    }
 
-            this.setAuthTokens(data.accessToken, data.refreshToken);
+    isTokenExpiring(now = Date.now()) {
+        const token = this.authToken;
+        const expiresAt = token ? ApiService.tokenExpiry(token) : null;
+        return expiresAt !== null && expiresAt - now < this.tokenRefreshLeewayMs;
+    }
 
-            return data.accessToken;
-        } catch (error) {
-            console.error('Token refresh failed:', error);
-            throw error;
+    /**
+     * Refresh authentication token through the token provider. Concurrent
+     * callers share one refresh, so a refresh token is only used once; a
+     * failed refresh is reported once through handleAuthFailure.
+     */
+    refreshAuthToken() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = Promise.resolve()
+                .then(() => this.tokenProvider.refresh())
+                .catch((error) => {
+                    console.error('Token refresh failed:', error);
+                    this.handleAuthFailure(error);
+                    throw error;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
         }
+        return this.refreshPromise;
     }
 
     /**
-     * Set authentication tokens
+     * Set authentication tokens; resolves once they are stored
      */
     setAuthTokens(accessToken, refreshToken) {
-        this.authToken = accessToken;
-        this.refreshToken = refreshToken;
-
-        Storage.setItem('authToken', accessToken);
-        if (refreshToken) {
-            Storage.setItem('refreshToken', refreshToken);
-        }
+        return this.tokenProvider.setTokens(accessToken, refreshToken);
     }
 
     /**
      * Clear authentication tokens
      */
     clearAuthTokens() {
-        this.authToken = null;
-        this.refreshToken = null;
-
-        Storage.removeItem('authToken');
-        Storage.removeItem('refreshToken');
+        this.tokenProvider.clear();
+        this.cache.clear();
     }
 
     /**
-     * Handle authentication failure
+     * Handle authentication failure: drop the tokens and let the app decide
+     * what to do (app.js ends the session and opens the login modal)
      */
-    handleAuthFailure() {
+    handleAuthFailure(error = null) {
         this.clearAuthTokens();
 
-        // Redirect to login page
-        if (typeof window !== 'undefined') {
-            window.location.href = '/login';
-        }
-
         // Emit auth failure event
-        document.dispatchEvent(new CustomEvent('auth:failure'));
+        document.dispatchEvent(new CustomEvent('auth:failure', {
+            detail: { message: error?.message || 'Authentication failed' }
+        }));
     }
 
     /**
@@ -394,19 +545,75 @@ class ApiService {
     shouldNotRetry(error) {
         // Don't retry on client errors (400-499) except 408, 429
         if (error instanceof ApiError) {
+            // Retrying against an open circuit only fails again
+            if (error.data?.circuitOpen) return true;
             const status = error.status;
             return status >= 400 && status < 500 && status !== 408 && status !== 429;
         }
 
-        return false;
+        // Bugs (a malformed URL, say) fail the same way every time
+        return !RequestQueue.isNetworkError(error);
+    }
+
+    /**
+     * Retry policy for a request from its `retry` option
+     */
+    retryPolicyFor(config) {
+        if (config.retry === false) return { ...this.retryPolicy, attempts: 1 };
+        if (typeof config.retry === 'number') return { ...this.retryPolicy, attempts: config.retry };
+        return { ...this.retryPolicy, ...config.retry };
+    }
+
+    /**
+     * Delay before the next attempt: the server's Retry-After when it sent
+     * one (null when that is more than maxDelayMs), otherwise full jitter -
+     * a random wait up to baseDelayMs * 2^(attempt - 1), capped at maxDelayMs
+     */
+    getRetryDelay(attempt, error = null, policy = this.retryPolicy) {
+        const retryAfter = error?.retryAfterMs;
+        if (retryAfter !== null && retryAfter !== undefined) {
+            return retryAfter <= policy.maxDelayMs ? retryAfter : null;
+        }
+        return Math.random() * Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+    }
+
+    /**
+     * Retry-After header (delay in seconds or an HTTP date) in ms, or null
+     */
+    static parseRetryAfter(value, now = Date.now()) {
+        if (!value) return null;
+        if (/^\d+$/.test(value.trim())) return Number(value.trim()) * 1000;
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - now);
+    }
+
+    /**
+     * Circuit breaker for a URL's host. When our own API's circuit opens,
+     * a health check is scheduled as the half-open probe.
+     */
+    breakerFor(url) {
+        // Relative base URLs (say '/api') are on the page's own host
+        const host = new URL(url, window.location.href).host;
+        if (!this.breakers.has(host)) {
+            const breaker = new CircuitBreaker(host);
+            breaker.onStateChange((change) => {
+                console.warn(`Circuit for ${change.host} is ${change.state}`);
+                if (change.state === 'open' && this.baseURL && new URL(this.baseURL, window.location.href).host === host) {
+                    clearTimeout(this.probeTimer);
+                    this.probeTimer = setTimeout(() => this.healthCheck().catch(() => {}), change.retryAfterMs);
+                }
+                document.dispatchEvent(new CustomEvent('api:circuit', { detail: change }));
+            });
+            this.breakers.set(host, breaker);
+        }
+        return this.breakers.get(host);
     }
 
     /**
-     * Get retry delay
+     * Breaker state per host for UI and debugging
      */
-    getRetryDelay(attempt) {
-        // Exponential backoff: 1s, 2s, 4s
-        return Math.pow(2, attempt - 1) * 1000;
+    getCircuitStatus() {
+        return [...this.breakers.values()].map(breaker => breaker.getStatus());
     }
 
     /**
@@ -438,11 +645,12 @@ class ApiService {
     }
 
     /**
-     * Health check
+     * Health check. Goes through an open circuit and acts as its half-open
+     * probe: success closes the circuit, failure keeps it open for longer.
      */
     async healthCheck() {
         try {
-            const response = await this.get('/health');
+            const response = await this.get('/health', {}, { _probe: true, retry: false, cachePolicy: 'network-only' });
             return response.data;
         } catch (error) {
             console.error('Health check failed:', error);
@@ -564,6 +772,31 @@ const API_ENDPOINTS = {
     }
 };
 
+/**
+ * GET cache policies, first match wins (see response-cache.js). Endpoints
+ * not listed are network-only.
+ */
+const API_CACHE_POLICIES = [
+    { match: API_ENDPOINTS.SERVICES.CATEGORIES, strategy: 'cache-first', maxAgeMs: 24 * 60 * 60 * 1000 },
+    { match: API_ENDPOINTS.SERVICES.FEATURED, strategy: 'stale-while-revalidate', maxAgeMs: 5 * 60 * 1000, staleMs: 24 * 60 * 60 * 1000 },
+    {
+        match: API_ENDPOINTS.SERVICES.LIST,
+        strategy: 'stale-while-revalidate',
+        maxAgeMs: 60 * 1000,
+        staleMs: 60 * 60 * 1000,
+        invalidatedBy: [API_ENDPOINTS.REVIEWS.CREATE]
+    },
+    {
+        // Ratings and availability change with reviews and bookings
+        match: API_ENDPOINTS.PROVIDERS.LIST,
+        strategy: 'stale-while-revalidate',
+        maxAgeMs: 60 * 1000,
+        staleMs: 60 * 60 * 1000,
+        invalidatedBy: [API_ENDPOINTS.REVIEWS.CREATE, API_ENDPOINTS.BOOKINGS.CREATE]
+    },
+    { match: API_ENDPOINTS.PAYMENTS.METHODS, strategy: 'cache-first', maxAgeMs: 60 * 60 * 1000 }
+];
+
 /**
  * Specialized API service classes
  */
@@ -578,7 +811,7 @@ class AuthApiService {
         const response = await this.api.post(API_ENDPOINTS.AUTH.LOGIN, credentials);
 
         if (response.data.accessToken) {
-            this.api.setAuthTokens(response.data.accessToken, response.data.refreshToken);
+            await this.api.setAuthTokens(response.data.accessToken, response.data.refreshToken);
         }
 
         return response.data;
@@ -588,7 +821,7 @@ class AuthApiService {
         const response = await this.api.post(API_ENDPOINTS.AUTH.REGISTER, userData);
 
         if (response.data.accessToken) {
-            this.api.setAuthTokens(response.data.accessToken, response.data.refreshToken);
+            await this.api.setAuthTokens(response.data.accessToken, response.data.refreshToken);
         }
 
         return response.data;
@@ -616,37 +849,55 @@ class AuthApiService {
 }
 
 // Booking API
+// Permission checks use the local copy of a booking when there is one;
+// the server still enforces its own rules.
 class BookingApiService {
     constructor(apiService) {
         this.api = apiService;
     }
 
-    async createBooking(bookingData) {
-        const response = await this.api.post(API_ENDPOINTS.BOOKINGS.CREATE, bookingData);
+    async createBooking(bookingData, { idempotencyKey = true } = {}) {
+        Auth.assert('booking:create');
+        const response = await this.api.post(API_ENDPOINTS.BOOKINGS.CREATE, bookingData, { idempotencyKey });
         return response.data;
     }
 
     async getBookings(params = {}) {
+        Auth.assert('booking:read', AccessControl.ANY);
         const response = await this.api.get(API_ENDPOINTS.BOOKINGS.LIST, params);
         return response.data;
     }
 
+    /**
+     * A booking from the local cache, or from the server when it is not
+     * cached, for ownership checks
+     */
+    async findBooking(bookingId) {
+        return Storage.findById('bookings', bookingId) ||
+            (await this.api.get(API_ENDPOINTS.BOOKINGS.DETAILS(bookingId))).data;
+    }
+
     async getBookingDetails(bookingId) {
+        Auth.assert('booking:read', AccessControl.ANY);
         const response = await this.api.get(API_ENDPOINTS.BOOKINGS.DETAILS(bookingId));
+        Auth.assert('booking:read', response.data);
         return response.data;
     }
 
     async updateBooking(bookingId, updates) {
-        const response = await this.api.patch(API_ENDPOINTS.BOOKINGS.UPDATE(bookingId), updates);
+        Auth.assert('booking:update', await this.findBooking(bookingId));
+        const response = await this.api.patch(API_ENDPOINTS.BOOKINGS.UPDATE(bookingId), updates, { queueable: true });
         return response.data;
     }
 
     async cancelBooking(bookingId, reason) {
-        const response = await this.api.post(API_ENDPOINTS.BOOKINGS.CANCEL(bookingId), { reason });
+        Auth.assert('booking:cancel', await this.findBooking(bookingId));
+        const response = await this.api.post(API_ENDPOINTS.BOOKINGS.CANCEL(bookingId), { reason }, { queueable: true });
         return response.data;
     }
 
     async trackBooking(bookingId) {
+        Auth.assert('booking:read', await this.findBooking(bookingId));
         const response = await this.api.get(API_ENDPOINTS.BOOKINGS.TRACK(bookingId));
         return response.data;
     }
@@ -658,17 +909,20 @@ class PaymentApiService {
         this.api = apiService;
     }
 
-    async processPayment(paymentData) {
-        const response = await this.api.post(API_ENDPOINTS.PAYMENTS.PROCESS, paymentData);
+    async processPayment(paymentData, { idempotencyKey = true } = {}) {
+        Auth.assert('payment:process', paymentData);
+        const response = await this.api.post(API_ENDPOINTS.PAYMENTS.PROCESS, paymentData, { idempotencyKey });
         return response.data;
     }
 
     async getPaymentHistory(params = {}) {
+        Auth.assert('payment:process', AccessControl.ANY);
         const response = await this.api.get(API_ENDPOINTS.PAYMENTS.HISTORY, params);
         return response.data;
     }
 
     async requestRefund(paymentId, reason) {
+        Auth.assert('payment:refund', Storage.findById('transactions', paymentId));
         const response = await this.api.post(API_ENDPOINTS.PAYMENTS.REFUND(paymentId), { reason });
         return response.data;
     }
@@ -679,18 +933,45 @@ class PaymentApiService {
     }
 }
 
+// Notification API
+// Read receipts are queued while offline and sent on reconnect
+class NotificationApiService {
+    constructor(apiService) {
+        this.api = apiService;
+    }
+
+    async getNotifications(params = {}) {
+        const response = await this.api.get(API_ENDPOINTS.NOTIFICATIONS.LIST, params);
+        return response.data;
+    }
+
+    async markRead(notificationId) {
+        const response = await this.api.post(API_ENDPOINTS.NOTIFICATIONS.MARK_READ(notificationId), {}, { queueable: true });
+        return response.data;
+    }
+
+    async markAllRead() {
+        const response = await this.api.post(API_ENDPOINTS.NOTIFICATIONS.MARK_ALL_READ, {}, { queueable: true });
+        return response.data;
+    }
+}
+
 // Initialize API services
 const apiService = new ApiService();
 const authApi = new AuthApiService(apiService);
 const bookingApi = new BookingApiService(apiService);
 const paymentApi = new PaymentApiService(apiService);
+const notificationApi = new NotificationApiService(apiService);
+Storage.ready.then(() => apiService.queue.start());
 
 // Export for global use
 window.ApiService = apiService;
 window.AuthApi = authApi;
 window.BookingApi = bookingApi;
 window.PaymentApi = paymentApi;
+window.NotificationApi = notificationApi;
 window.API_ENDPOINTS = API_ENDPOINTS;
+window.API_CACHE_POLICIES = API_CACHE_POLICIES;
 window.ApiError = ApiError;
 
 console.log('🔌 API Service layer initialized');
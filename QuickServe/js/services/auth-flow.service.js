@@ -0,0 +1,432 @@
+/**
+ * QuickServe Auth Flow
+ * The sign-in / sign-up wizard as one state machine:
+ *
+ *   role -> phone -> otp -> aadhaar (providers only) -> profile -> done
+ *
+ * Returning users skip straight from otp to done. Every step goes through
+ * the shared `Auth` instance, so the OTP sent in one step is the one
+ * verified in the next. The role, phone and step are kept in
+ * sessionStorage, so a reload resumes the flow in the same tab. Anything
+ * verified (the OTP, e-KYC, the matched account) is never read back from
+ * there, since page scripts and the user can edit it: a flow saved past
+ * the otp step resumes at otp, and the facts are derived again.
+ *
+ * The aadhaar step has two parts: submitAadhaar() sends the e-KYC OTP and
+ * keeps the transaction in `kyc`, submitAadhaarOtp() confirms it.
+ *
+ * Transitions resolve to { success, message } like AuthenticationService.
+ * Events (AuthFlow.on(name, handler), returns an unsubscribe function):
+ *   change   - { state, previous } after every state update
+ *   step     - { step, previous } when the step changes
+ *   error    - { step, message } when a transition fails
+ *   complete - { user } once the user is signed in
+ */
+
+class AuthFlowMachine {
+    constructor(auth, store = AuthFlowMachine.sessionStore()) {
+        this.auth = auth;
+        this.store = store;
+        this.listeners = new Map();
+        this.state = this.restore();
+    }
+
+    static STORAGE_KEY = 'quickserve_auth_flow';
+
+    // Abandoned flows start over after this long
+    static TTL_MS = 30 * 60 * 1000;
+
+    // Steps a reload can resume; later ones depend on a verified OTP
+    static RESUMABLE_STEPS = ['phone', 'otp'];
+
+    static STEPS = {
+        ROLE: 'role',
+        PHONE: 'phone',
+        OTP: 'otp',
+        AADHAAR: 'aadhaar',
+        PROFILE: 'profile',
+        DONE: 'done'
+    };
+
+    /**
+     * Steps reachable from each step
+     */
+    static TRANSITIONS = {
+        role: ['phone'],
+        phone: ['role', 'otp'],
+        otp: ['phone', 'aadhaar', 'profile', 'done'],
+        aadhaar: ['profile'],
+        profile: ['aadhaar', 'done'],
+        done: []
+    };
+
+    static initialState() {
+        return {
+            step: AuthFlowMachine.STEPS.ROLE,
+            role: null,
+            phone: null,
+            userId: null,
+            aadhaar: null,
+            kyc: null,
+            pending: false,
+            error: null,
+            updatedAt: null
+        };
+    }
+
+    /**
+     * sessionStorage when available; null keeps the flow in memory only
+     */
+    static sessionStore() {
+        try {
+            return typeof sessionStorage !== 'undefined' ? sessionStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Load a saved flow, dropping it when stale or at a finished step.
+     * Only the role, phone and a step up to otp are taken from it, each
+     * checked again.
+     */
+    restore() {
+        const { ROLE, PHONE, OTP, DONE } = AuthFlowMachine.STEPS;
+        try {
+            const saved = JSON.parse(this.store?.getItem(AuthFlowMachine.STORAGE_KEY) || 'null');
+            const fresh = saved && Date.now() - Date.parse(saved.updatedAt) < AuthFlowMachine.TTL_MS;
+            const role = AuthenticationService.SELF_ASSIGNABLE_ROLES.includes(saved?.role) ? saved.role : null;
+            if (fresh && role && AuthFlowMachine.TRANSITIONS[saved.step] && ![ROLE, DONE].includes(saved.step)) {
+                const phone = saved.step !== PHONE ? this.normalizePhone(saved.phone) : null;
+                return {
+                    ...AuthFlowMachine.initialState(),
+                    role,
+                    phone,
+                    step: phone ? OTP : PHONE,
+                    updatedAt: saved.updatedAt
+                };
+            }
+        } catch (error) {
+            console.warn('Discarding saved auth flow:', error);
+        }
+        return AuthFlowMachine.initialState();
+    }
+
+    persist() {
+        if (!this.store) return;
+        try {
+            if (this.state.step === AuthFlowMachine.STEPS.DONE || this.state.step === AuthFlowMachine.STEPS.ROLE) {
+                this.store.removeItem(AuthFlowMachine.STORAGE_KEY);
+            } else {
+                const { role, phone, updatedAt } = this.state;
+                const step = AuthFlowMachine.RESUMABLE_STEPS.includes(this.state.step) ? this.state.step : AuthFlowMachine.STEPS.OTP;
+                this.store.setItem(AuthFlowMachine.STORAGE_KEY, JSON.stringify({ step, role, phone, updatedAt }));
+            }
+        } catch (error) {
+            console.warn('Failed to save auth flow:', error);
+        }
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Whether a flow is under way (past role selection, not finished)
+     */
+    isActive() {
+        return this.state.step !== AuthFlowMachine.STEPS.ROLE && this.state.step !== AuthFlowMachine.STEPS.DONE;
+    }
+
+    canGoTo(step) {
+        return AuthFlowMachine.TRANSITIONS[this.state.step].includes(step);
+    }
+
+    /**
+     * Listen for 'change', 'step', 'error' or 'complete'
+     */
+    on(eventName, handler) {
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, new Set());
+        }
+        this.listeners.get(eventName).add(handler);
+        return () => this.listeners.get(eventName)?.delete(handler);
+    }
+
+    emit(eventName, detail) {
+        (this.listeners.get(eventName) || []).forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Auth flow ${eventName} listener failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Replace the state, save it and notify listeners
+     */
+    update(patch) {
+        const previous = this.state;
+        this.state = { ...previous, ...patch, updatedAt: new Date().toISOString() };
+        this.persist();
+        this.emit('change', { state: this.state, previous });
+        if (this.state.step !== previous.step) {
+            this.emit('step', { step: this.state.step, previous: previous.step });
+        }
+        return this.state;
+    }
+
+    /**
+     * Move to another step; steps not listed in TRANSITIONS are refused
+     */
+    goTo(step, patch = {}) {
+        if (!this.canGoTo(step)) {
+            return this.fail(`Cannot go from ${this.state.step} to ${step}`);
+        }
+        this.update({ ...patch, step, pending: false, error: null });
+        return { success: true };
+    }
+
+    fail(message) {
+        this.update({ pending: false, error: message });
+        this.emit('error', { step: this.state.step, message });
+        return { success: false, message };
+    }
+
+    /**
+     * Guard for transitions that only apply on one step
+     */
+    expect(step) {
+        if (this.state.pending) return { success: false, message: 'Please wait...' };
+        if (this.state.step !== step) return { success: false, message: `Not on the ${step} step` };
+        return null;
+    }
+
+    /**
+     * Start over from role selection (or from the phone step with a role)
+     */
+    reset(role = null) {
+        this.update({ ...AuthFlowMachine.initialState(), ...(role ? { role, step: AuthFlowMachine.STEPS.PHONE } : {}) });
+        return { success: true };
+    }
+
+    selectRole(role) {
+        const blocked = this.expect(AuthFlowMachine.STEPS.ROLE);
+        if (blocked) return blocked;
+        if (!AuthenticationService.SELF_ASSIGNABLE_ROLES.includes(role)) {
+            return this.fail('Please choose how you want to use QuickServe');
+        }
+        return this.goTo(AuthFlowMachine.STEPS.PHONE, { role });
+    }
+
+    /**
+     * Phone in E.164 form; accepts a 10-digit Indian number with or
+     * without the +91 prefix
+     */
+    normalizePhone(input) {
+        const digits = String(input || '').replace(/\D/g, '');
+        const local = digits.length === 12 && digits.startsWith('91') ? digits.slice(2) : digits;
+        return this.auth.validatePhoneNumber(local) ? `+91${local}` : null;
+    }
+
+    async submitPhone(input) {
+        const blocked = this.expect(AuthFlowMachine.STEPS.PHONE);
+        if (blocked) return blocked;
+
+        const phone = this.normalizePhone(input);
+        if (!phone) return this.fail('Please enter a valid 10-digit mobile number');
+
+        // Coming back with the same number while its code is still live
+        const status = this.auth.getOtpStatus(phone);
+        if (phone === this.state.phone && !status.canSend && status.codeExpiresInSeconds > 0) {
+            return this.goTo(AuthFlowMachine.STEPS.OTP);
+        }
+
+        this.update({ pending: true, error: null });
+        const sent = await this.auth.generateOTP(phone);
+        if (!sent) return this.fail(this.otpSendError(phone));
+        return this.goTo(AuthFlowMachine.STEPS.OTP, { phone });
+    }
+
+    async resendOtp() {
+        const blocked = this.expect(AuthFlowMachine.STEPS.OTP);
+        if (blocked) return blocked;
+
+        this.update({ pending: true, error: null });
+        const sent = await this.auth.generateOTP(this.state.phone);
+        if (!sent) return this.fail(this.otpSendError(this.state.phone));
+        this.update({ pending: false });
+        return { success: true, message: 'OTP sent' };
+    }
+
+    otpSendError(phone) {
+        return this.auth.otpThrottle.describe(this.auth.getOtpStatus(phone)) || 'Failed to send OTP. Please try again.';
+    }
+
+    /**
+     * Cooldown/lockout for the current phone, for the OTP countdown
+     */
+    getOtpStatus() {
+        return this.state.phone ? this.auth.getOtpStatus(this.state.phone) : null;
+    }
+
+    /**
+     * Verify the OTP. Known users with a complete profile are signed in;
+     * everyone else continues to e-KYC (providers) or profile setup.
+     */
+    async submitOtp(code) {
+        const blocked = this.expect(AuthFlowMachine.STEPS.OTP);
+        if (blocked) return blocked;
+        if (!new RegExp(`^\\d{${Constants.OTP.LENGTH}}$`).test(String(code || ''))) {
+            return this.fail(`Please enter the ${Constants.OTP.LENGTH}-digit OTP`);
+        }
+
+        this.update({ pending: true, error: null });
+        const result = await this.auth.verifyOTP(code, this.state.phone, { role: this.state.role, phoneNumber: this.state.phone });
+        if (!result.success) return this.fail(result.message);
+
+        const authId = result.user?.id;
+        const user = Storage.findInCollection('users', u => (authId && u.id === authId) || u.phoneNumber === this.state.phone);
+        if (user && user.profileCompleted !== false) {
+            return this.finish(user);
+        }
+        return this.goTo(this.nextAfterOtp(user), { userId: user ? user.id : null });
+    }
+
+    nextAfterOtp(user) {
+        // An unfinished profile still takes the role picked in this flow
+        const role = user && user.profileCompleted !== false ? user.role : this.state.role;
+        const needsKyc = role === AuthenticationService.ROLES.PROVIDER && !(user && user.aadhaarVerified);
+        return needsKyc ? AuthFlowMachine.STEPS.AADHAAR : AuthFlowMachine.STEPS.PROFILE;
+    }
+
+    /**
+     * Start e-KYC: the provider sends an OTP to the Aadhaar-linked mobile
+     */
+    async submitAadhaar(aadhaarNumber, consent) {
+        const blocked = this.expect(AuthFlowMachine.STEPS.AADHAAR);
+        if (blocked) return blocked;
+
+        if (!this.auth.validateAadhaarNumber(aadhaarNumber)) {
+            return this.fail('Please enter a valid 12-digit Aadhaar number');
+        }
+
+        this.update({ pending: true, error: null });
+        const result = await this.auth.requestAadhaarOtp(aadhaarNumber, consent);
+        if (!result.success) return this.fail(result.message);
+
+        this.update({
+            pending: false,
+            kyc: { transactionId: result.transactionId, maskedNumber: result.maskedNumber }
+        });
+        return { success: true, message: result.message };
+    }
+
+    /**
+     * Confirm the e-KYC OTP; only the last 4 digits are kept until the
+     * account exists
+     */
+    async submitAadhaarOtp(otp) {
+        const blocked = this.expect(AuthFlowMachine.STEPS.AADHAAR);
+        if (blocked) return blocked;
+        if (!this.state.kyc) return this.fail('Please enter your Aadhaar number first');
+
+        this.update({ pending: true, error: null });
+        const result = await this.auth.checkAadhaar(this.state.kyc.transactionId, otp);
+        if (!result.success) {
+            // An expired transaction needs a fresh OTP, so ask for the number again
+            if (result.reason === 'expired') this.update({ kyc: null });
+            return this.fail(result.message);
+        }
+
+        return this.goTo(AuthFlowMachine.STEPS.PROFILE, {
+            aadhaar: { last4: result.last4, verifiedAt: result.verifiedAt },
+            kyc: null
+        });
+    }
+
+    /**
+     * Drop a started e-KYC so a different Aadhaar number can be entered
+     */
+    changeAadhaar() {
+        const blocked = this.expect(AuthFlowMachine.STEPS.AADHAAR);
+        if (blocked) return blocked;
+        this.update({ kyc: null, error: null });
+        return { success: true };
+    }
+
+    /**
+     * Create (or finish) the account and sign in
+     */
+    async completeProfile({ fullName, email, services = [] } = {}) {
+        const blocked = this.expect(AuthFlowMachine.STEPS.PROFILE);
+        if (blocked) return blocked;
+
+        const name = String(fullName || '').trim();
+        const mail = String(email || '').trim();
+        if (name.length < 2) return this.fail('Please enter your full name');
+        if (mail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(mail)) return this.fail('Please enter a valid email address');
+
+        const isProvider = this.state.role === AuthenticationService.ROLES.PROVIDER;
+        const profile = {
+            fullName: name,
+            ...(mail ? { email: mail } : {}),
+            ...(isProvider ? { services } : {})
+        };
+
+        this.update({ pending: true, error: null });
+        let user;
+        if (this.state.userId) {
+            const existing = Storage.findById('users', this.state.userId);
+            if (!existing) return this.fail('Account not found. Please start again.');
+            // The account may have been created without the role picked here
+            // (Supabase sign-in); admins keep theirs
+            const role = existing.role === AuthenticationService.ROLES.ADMIN ? existing.role : this.state.role;
+            user = Storage.updateInCollection('users', this.state.userId, { ...profile, role, profileCompleted: true });
+        } else {
+            const result = await this.auth.registerUser({ ...profile, phoneNumber: this.state.phone, role: this.state.role });
+            if (!result.success) return this.fail(result.message);
+            user = Storage.updateInCollection('users', result.user.id, { profileCompleted: true });
+        }
+
+        if (this.state.aadhaar) {
+            user = this.auth.applyAadhaarVerification(user.id, this.state.aadhaar) || user;
+        }
+        return this.finish(user);
+    }
+
+    finish(user) {
+        const signedIn = this.auth.completeLogin(user);
+        this.goTo(AuthFlowMachine.STEPS.DONE, { userId: signedIn.id, aadhaar: null });
+        this.emit('complete', { user: signedIn });
+        return { success: true, user: signedIn };
+    }
+
+    /**
+     * Step back where that makes sense. A verified OTP or e-KYC cannot be
+     * undone, so otp/aadhaar only go back before verification.
+     */
+    back() {
+        if (this.state.pending) return { success: false, message: 'Please wait...' };
+        const { PHONE, OTP, PROFILE, AADHAAR, ROLE } = AuthFlowMachine.STEPS;
+        const previous = {
+            [PHONE]: ROLE,
+            [OTP]: PHONE,
+            [PROFILE]: this.state.aadhaar ? AADHAAR : null
+        }[this.state.step];
+        if (!previous) return { success: false, message: 'Cannot go back from here' };
+        return this.goTo(previous);
+    }
+}
+
+const AuthFlow = new AuthFlowMachine(Auth);
+
+// Expose globally
+window.AuthFlowMachine = AuthFlowMachine;
+window.AuthFlow = AuthFlow;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AuthFlowMachine, AuthFlow };
+}
@@ -5,11 +5,19 @@
 
 class AuthenticationService {
     constructor() {
-        this.currentOTP = null;
-        this.otpExpiry = null;
         this.pendingUser = null;
-        this.verificationAttempts = 0;
-        this.MAX_ATTEMPTS = 3;
+        this.pendingPhone = null;
+        // Cooldowns, attempts and lockouts are persisted per phone
+        this.otpThrottle = new OtpThrottle(Storage);
+        // Login sessions with absolute and idle timeouts
+        this.sessions = new SessionManager(Storage);
+        // Aadhaar e-KYC provider (mock unless configured)
+        this.ekyc = EkycAdapter.create();
+        // Start/end codes that verify a booking on site
+        this.bookingOtp = new BookingOtpManager(Storage);
+        // login / logout / user-updated / ... (see auth-events.js)
+        this.events = new AuthEventBus();
+        this.unwatchUser = null;
     }
 
     /**
@@ -18,9 +26,27 @@ class AuthenticationService {
     static ROLES = {
         CUSTOMER: 'customer',
         PROVIDER: 'provider',
-        OTHER: 'other' // Quick gig worker
+        OTHER: 'other', // Quick gig worker
+        ADMIN: 'admin' // Granted server-side only (public.users.role)
     };
 
+    /**
+     * Roles users can pick for themselves at sign-up
+     */
+    static SELF_ASSIGNABLE_ROLES = ['customer', 'provider', 'other'];
+
+    /**
+     * A sign-up role, falling back to customer for anything not self-assignable
+     */
+    static signupRole(role) {
+        return AuthenticationService.SELF_ASSIGNABLE_ROLES.includes(role) ? role : AuthenticationService.ROLES.CUSTOMER;
+    }
+
+    /**
+     * Hash of a random secret, verified against when an email is unknown
+     */
+    static DUMMY_HASH = 'pbkdf2-sha256$310000$WKq6YOn65/gpyQ+5+kmyiw==$dpnpZO64tXuUzlvauBCcV8ceW176NR4estPeQ9loxqU=';
+
     /**
      * Verification Status
      */
@@ -32,76 +58,99 @@ class AuthenticationService {
     };
 
     /**
-     * Generate OTP
+     * Generate OTP. Resolves to false (with a toast) while the phone is in
+     * its resend cooldown, over the hourly cap or locked out.
      */
-    generateOTP(phoneNumber) {
-        // Use Supabase SMS OTP when configured
-        if (window.Supabase && window.Supabase.enabled && phoneNumber) {
-            this.pendingPhone = phoneNumber;
-            return window.Supabase.client.auth
-                .signInWithOtp({ phone: phoneNumber, options: { channel: 'sms' } })
-                .then(() => {
-                    if (window.Toast) window.Toast.show('OTP sent to your phone', 'success');
-                    return true;
-                })
-                .catch(err => {
-                    console.error('Supabase OTP send failed:', err);
-                    if (window.Toast && window.Toast.error) window.Toast.error('Failed to send OTP');
-                    return false;
-                });
-        }
-
-        // Demo/local OTP
-        const otp = Math.floor(100000 + Math.random() * 900000).toString();
-        this.currentOTP = otp;
-        this.otpExpiry = new Date(Date.now() + 5 * 60 * 1000);
-        console.log('Generated OTP:', otp);
-        if (window.Toast) window.Toast.show(`Your OTP is: ${otp}`, 'info');
-        return true;
-    }
+    async generateOTP(phoneNumber) {
+        const status = this.otpThrottle.getStatus(phoneNumber);
+        if (!status.canSend) {
+            if (window.Toast && window.Toast.error) window.Toast.error(this.otpThrottle.describe(status));
+            return false;
+        }
+        this.pendingPhone = phoneNumber;
+
+        // Use Supabase SMS OTP when configured
+        if (window.Supabase && window.Supabase.enabled && phoneNumber) {
+            try {
+                await window.Supabase.client.auth.signInWithOtp({ phone: phoneNumber, options: { channel: 'sms' } });
+                await this.otpThrottle.recordSend(phoneNumber);
+                if (window.Toast) window.Toast.show('OTP sent to your phone', 'success');
+                return true;
+            } catch (err) {
+                console.error('Supabase OTP send failed:', err);
+                if (window.Toast && window.Toast.error) window.Toast.error('Failed to send OTP');
+                return false;
+            }
+        }
+
+        // Demo/local OTP
+        const otp = Math.floor(100000 + Math.random() * 900000).toString();
+        await this.otpThrottle.recordSend(phoneNumber, otp);
+        console.log('Generated OTP:', otp);
+        if (window.Toast) window.Toast.show(`Your OTP is: ${otp}`, 'info');
+        return true;
+    }
 
     /**
-     * Verify OTP
+     * Remaining cooldown, lockout and attempts for a phone (for the OTP UI)
      */
-    async verifyOTP(inputOTP) {
-        // Supabase verify flow
-        if (window.Supabase && window.Supabase.enabled && this.pendingPhone) {
-            try {
-                const { data, error } = await window.Supabase.client.auth.verifyOtp({
-                    phone: this.pendingPhone,
-                    token: inputOTP,
-                    type: 'sms'
-                });
-                if (error) throw error;
-
-                const authUser = data?.user || (await window.Supabase.client.auth.getUser()).data?.user;
-                this._ensureLocalUserFromSupabase(authUser);
-                this.pendingPhone = null;
-                this.verificationAttempts = 0;
-                return { success: true, user: authUser };
-            } catch (e) {
-                this.verificationAttempts++;
-                return { success: false, message: e.message };
-            }
-        }
-
-        // Local/demo verification
-        if (!this.otpExpiry || new Date() > this.otpExpiry) {
-            return { success: false, message: 'OTP has expired. Please request a new one.' };
-        }
-        if (this.verificationAttempts >= this.MAX_ATTEMPTS) {
-            return { success: false, message: 'Maximum attempts exceeded. Please request a new OTP.' };
-        }
-        if (inputOTP === this.currentOTP) {
-            this.currentOTP = null;
-            this.otpExpiry = null;
-            this.verificationAttempts = 0;
-            return { success: true, message: 'OTP verified successfully' };
-        } else {
-            this.verificationAttempts++;
-            return { success: false, message: `Invalid OTP. ${this.MAX_ATTEMPTS - this.verificationAttempts} attempts remaining.` };
-        }
-    }
+    getOtpStatus(phoneNumber = this.pendingPhone || this.otpThrottle.latestPhone()) {
+        return this.otpThrottle.getStatus(phoneNumber);
+    }
+
+    /**
+     * Verify OTP. Failed results carry `status` with the remaining wait.
+     * hints ({ role, ... }) fill in the local user created for a new
+     * Supabase account.
+     */
+    async verifyOTP(inputOTP, phoneNumber = this.pendingPhone || this.otpThrottle.latestPhone(), hints = {}) {
+        const status = this.otpThrottle.getStatus(phoneNumber);
+        if (!status.canVerify) {
+            return { success: false, message: this.otpThrottle.describe(status), status };
+        }
+
+        // Supabase verify flow
+        if (window.Supabase && window.Supabase.enabled && phoneNumber) {
+            try {
+                const { data, error } = await window.Supabase.client.auth.verifyOtp({
+                    phone: phoneNumber,
+                    token: inputOTP,
+                    type: 'sms'
+                });
+                if (error) throw error;
+
+                const authUser = data?.user || (await window.Supabase.client.auth.getUser()).data?.user;
+                this._ensureLocalUserFromSupabase(authUser, { phoneNumber, ...hints });
+                this.pendingPhone = null;
+                this.otpThrottle.recordSuccess(phoneNumber);
+                return { success: true, user: authUser };
+            } catch (e) {
+                const failed = this.otpThrottle.recordFailure(phoneNumber);
+                return {
+                    success: false,
+                    message: failed.lockedForSeconds > 0 ? this.otpThrottle.describe(failed) : e.message,
+                    status: failed
+                };
+            }
+        }
+
+        // Local/demo verification
+        const result = await this.otpThrottle.verifyCode(phoneNumber, inputOTP);
+        if (result.success) {
+            this.pendingPhone = null;
+            return { success: true, message: 'OTP verified successfully' };
+        }
+        if (result.reason === 'expired') {
+            return { success: false, message: 'OTP has expired. Please request a new one.', status: result.status };
+        }
+        return {
+            success: false,
+            message: result.status.lockedForSeconds > 0
+                ? this.otpThrottle.describe(result.status)
+                : `Invalid OTP. ${result.status.attemptsRemaining} attempts remaining.`,
+            status: result.status
+        };
+    }
 
     /**
      * Register new user
@@ -120,9 +169,21 @@ class AuthenticationService {
                 };
             }
 
+            if (userData.role && !AuthenticationService.SELF_ASSIGNABLE_ROLES.includes(userData.role)) {
+                return {
+                    success: false,
+                    message: 'Invalid role'
+                };
+            }
+
+            // Never store the plaintext password
+            const { password, ...profile } = userData;
+            const passwordHash = password ? await PasswordHasher.hash(password) : undefined;
+
             // Create user object
             const newUser = {
-                ...userData,
+                ...profile,
+                ...(passwordHash ? { passwordHash } : {}),
                 role: userData.role || AuthenticationService.ROLES.CUSTOMER,
                 verificationStatus: AuthenticationService.VERIFICATION_STATUS.PHONE_VERIFIED,
                 isActive: true,
@@ -155,6 +216,7 @@ class AuthenticationService {
                     newUser.documents = {
                         aadhaar: null,
                         pan: null,
+                        gst: null,
                         certification: []
                     };
                     break;
@@ -166,26 +228,31 @@ class AuthenticationService {
                     break;
             }
 
-            // Save user
-            const savedUser = Storage.addToCollection('users', newUser);
+            // Save user and role-specific record together
+            const savedUser = await Storage.transaction(tx => {
+                const saved = tx.addToCollection('users', newUser);
+                // Credentials live on the users record only
+                const { passwordHash: _hash, ...user } = saved;
 
-            // Add to role-specific collection
-            if (newUser.role === AuthenticationService.ROLES.PROVIDER) {
-                Storage.addToCollection('providers', {
-                    userId: savedUser.id,
-                    ...savedUser
-                });
-            } else if (newUser.role === AuthenticationService.ROLES.CUSTOMER) {
-                Storage.addToCollection('customers', {
-                    userId: savedUser.id,
-                    ...savedUser
-                });
-            } else if (newUser.role === AuthenticationService.ROLES.OTHER) {
-                Storage.addToCollection('otherWorkers', {
-                    userId: savedUser.id,
-                    ...savedUser
-                });
-            }
+                if (newUser.role === AuthenticationService.ROLES.PROVIDER) {
+                    tx.addToCollection('providers', {
+                        userId: user.id,
+                        ...user
+                    });
+                } else if (newUser.role === AuthenticationService.ROLES.CUSTOMER) {
+                    tx.addToCollection('customers', {
+                        userId: user.id,
+                        ...user
+                    });
+                } else if (newUser.role === AuthenticationService.ROLES.OTHER) {
+                    tx.addToCollection('otherWorkers', {
+                        userId: user.id,
+                        ...user
+                    });
+                }
+
+                return user;
+            });
 
             return { 
                 success: true, 
@@ -214,22 +281,91 @@ class AuthenticationService {
 
             const authUser = result.user || (await window.Supabase.client.auth.getUser()).data?.user;
             this._ensureLocalUserFromSupabase(authUser);
-            Storage.setCurrentUser(authUser?.id);
+            this.sessions.start(authUser?.id);
 
             Storage.addNotification({ type: 'login', title: 'Login Successful', message: 'Welcome back!', userId: authUser?.id });
             return { success: true, user: authUser, message: 'Login successful' };
         }
 
         // Local/demo path
-        const otpVerification = await this.verifyOTP(otp);
+        const otpVerification = await this.verifyOTP(otp, phoneNumber);
         if (!otpVerification.success) return otpVerification;
         const user = Storage.findInCollection('users', u => u.phoneNumber === phoneNumber);
         if (!user) return { success: false, message: 'User not found. Please register first.' };
-        Storage.setCurrentUser(user.id);
-        Storage.updateInCollection('users', user.id, { lastLogin: new Date().toISOString() });
-        Storage.addNotification({ type: 'login', title: 'Login Successful', message: `Welcome back, ${user.fullName || 'User'}!`, userId: user.id });
+        this.completeLogin(user);
         return { success: true, user, message: 'Login successful' };
     }
+
+    /**
+     * Start a session for a user who just verified an OTP or password
+     */
+    completeLogin(user) {
+        this.sessions.start(user.id);
+        const updated = Storage.updateInCollection('users', user.id, { lastLogin: new Date().toISOString() });
+        Storage.addNotification({ type: 'login', title: 'Login Successful', message: `${user.lastLogin ? 'Welcome back' : 'Welcome'}, ${user.fullName || 'User'}!`, userId: user.id });
+        return updated || user;
+    }
+
+    /**
+     * Login with email and password (local accounts, or Supabase when
+     * configured). Plaintext passwords from older versions are verified
+     * once and replaced by a hash.
+     */
+    async loginWithPassword(email, password) {
+        const failure = { success: false, message: 'Invalid email or password' };
+        if (!email || !password) return failure;
+
+        if (window.Supabase && window.Supabase.enabled) {
+            try {
+                const { user: authUser } = await window.Supabase.auth.login({ identifier: email, password });
+                await this._ensureLocalUserFromSupabase(authUser, { email });
+                this.sessions.start(authUser.id);
+                return { success: true, user: Storage.getCurrentUser(), message: 'Login successful' };
+            } catch (error) {
+                return { success: false, message: error.message || failure.message };
+            }
+        }
+
+        const normalized = String(email).trim().toLowerCase();
+        const user = Storage.findBy('users', 'email', normalized) ||
+            Storage.findInCollection('users', u => (u.email || '').toLowerCase() === normalized);
+
+        let valid = false;
+        if (user?.passwordHash) {
+            valid = await PasswordHasher.verify(password, user.passwordHash);
+        } else if (user?.password) {
+            valid = PasswordHasher.timingSafeEqual(String(password), String(user.password));
+        } else {
+            // Same work for unknown accounts so timing does not reveal which emails exist
+            await PasswordHasher.verify(password, AuthenticationService.DUMMY_HASH);
+        }
+        if (!valid) return failure;
+
+        if (!user.passwordHash || PasswordHasher.needsRehash(user.passwordHash)) {
+            await this._storePasswordHash(user.id, password);
+        }
+
+        return { success: true, user: this.completeLogin(user), message: 'Login successful' };
+    }
+
+    /**
+     * Hash and save a password, removing any plaintext copy from the user
+     * and the role records that were cloned from it at registration
+     */
+    async _storePasswordHash(userId, password) {
+        const passwordHash = await PasswordHasher.hash(password);
+        await Storage.transaction(tx => {
+            tx.updateInCollection('users', userId, {
+                passwordHash,
+                password: undefined,
+                passwordUpdatedAt: new Date().toISOString()
+            });
+            ['providers', 'customers', 'otherWorkers'].forEach(name => {
+                tx.filterCollection(name, record => record.userId === userId && record.password !== undefined)
+                    .forEach(record => tx.updateInCollection(name, record.id, { password: undefined }));
+            });
+        });
+    }
 
     /**
      * Logout user
@@ -239,17 +375,91 @@ class AuthenticationService {
         if (currentUser) {
             Storage.addNotification({ type: 'logout', title: 'Logged Out', message: 'You have been logged out successfully', userId: currentUser.id });
         }
-        if (window.Supabase && window.Supabase.enabled) {
-            window.Supabase.client.auth.signOut().catch(console.warn);
-        }
-        Storage.clearSession();
+        // Ends the session record and signs this device out of Supabase
+        this.sessions.end('logout');
         return { success: true, message: 'Logged out successfully' };
     }
+
+    /**
+     * Feed the auth event stream from session starts/ends and from user
+     * and session records changing here, in other tabs or through sync
+     */
+    watchUser() {
+        if (this.unwatchUser) return;
+        this.events.seed(Storage.getCurrentUser());
+
+        const refresh = (reason = null) => this.events.track(Storage.getCurrentUser(), reason);
+        const onStarted = () => refresh();
+        const onEnded = (event) => refresh(event.detail?.reason);
+        document.addEventListener('session:started', onStarted);
+        document.addEventListener('session:ended', onEnded);
+        const unsubscribers = ['users', 'sessions'].map(name => Storage.subscribe(name, () => refresh()));
+
+        this.unwatchUser = () => {
+            document.removeEventListener('session:started', onStarted);
+            document.removeEventListener('session:ended', onEnded);
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            this.unwatchUser = null;
+        };
+    }
+
+    /**
+     * Observe the signed-in user: callback(profile, events) runs now with
+     * the current user's profile (AuthEventBus.PROFILE_FIELDS; events is
+     * empty) and after every change. Returns an unsubscribe function.
+     */
+    onUserChange(callback) {
+        callback(this.events.user, []);
+        return this.events.onChange(callback);
+    }
+
+    /**
+     * Mirror Supabase auth changes made outside this app's own login and
+     * logout calls (which already start and end local sessions)
+     */
+    async handleSupabaseAuthChange(event, session) {
+        await Storage.ready;
+        const { currentUser } = Storage.getSettings();
+        const authUser = session?.user;
+
+        if (event === 'SIGNED_OUT' && currentUser) {
+            // Refresh token revoked or expired - e.g. signed out from another device
+            this.sessions.end('revoked');
+        } else if (event === 'USER_UPDATED' && authUser && authUser.id === currentUser) {
+            Storage.updateInCollection('users', authUser.id, {
+                ...(authUser.email ? { email: authUser.email } : {}),
+                ...(authUser.phone ? { phoneNumber: authUser.phone } : {})
+            });
+        }
+    }
+
+    /**
+     * Logged-in devices of the current user (see SessionManager.list)
+     */
+    getSessions(options = {}) {
+        return this.sessions.list(options);
+    }
+
+    /**
+     * Revoke one logged-in device
+     */
+    revokeSession(sessionId) {
+        return this.sessions.revoke(sessionId);
+    }
+
+    /**
+     * Log out every other device
+     */
+    async revokeOtherSessions() {
+        return await this.sessions.revokeOthers();
+    }
 
     /**
-     * Verify Aadhaar (Mock e-KYC)
+     * Start Aadhaar e-KYC: validates the number and, with the user's
+     * consent, has the e-KYC provider send an OTP to the linked mobile.
+     * Resolves { success, transactionId, maskedNumber, message }.
      */
-    async verifyAadhaar(aadhaarNumber, consent) {
+    async requestAadhaarOtp(aadhaarNumber, consent) {
         if (!consent) {
             return { 
                 success: false, 
@@ -257,54 +467,106 @@ class AuthenticationService {
             };
         }
 
-        // Validate Aadhaar format (12 digits)
-        if (!/^\d{12}$/.test(aadhaarNumber)) {
+        const number = Aadhaar.normalize(aadhaarNumber);
+        if (!this.validateAadhaarNumber(number)) {
             return { 
                 success: false, 
-                message: 'Invalid Aadhaar number format' 
+                message: Constants.ERRORS.INVALID_AADHAAR 
             };
         }
 
-        // Mock verification delay
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        const result = await this.ekyc.requestOtp(number, {
+            givenAt: new Date().toISOString(),
+            purpose: 'Identity verification for QuickServe'
+        });
+        if (!result.success) {
+            return { success: false, reason: result.reason, message: result.message || 'Could not start Aadhaar verification' };
+        }
+
+        const maskedNumber = Aadhaar.mask(number);
+        return {
+            success: true,
+            transactionId: result.transactionId,
+            maskedNumber,
+            message: `OTP sent to the mobile number linked with ${maskedNumber}`
+        };
+    }
+
+    /**
+     * Verify Aadhaar e-KYC for the logged-in user
+     */
+    async verifyAadhaar(transactionId, otp) {
+        const result = await this.checkAadhaar(transactionId, otp);
+        if (!result.success) return result;
 
-        // Mock successful verification
         const currentUser = Storage.getCurrentUser();
-        if (currentUser) {
-            // Update verification status
-            const updatedUser = Storage.updateInCollection('users', currentUser.id, {
-                verificationStatus: AuthenticationService.VERIFICATION_STATUS.AADHAAR_VERIFIED,
-                aadhaarVerified: true,
-                aadhaarLast4: aadhaarNumber.slice(-4),
-                aadhaarVerifiedAt: new Date().toISOString()
-            });
+        if (!currentUser) {
+            return { 
+                success: false, 
+                message: 'User session not found' 
+            };
+        }
+
+        return {
+            success: true,
+            message: result.message,
+            user: this.applyAadhaarVerification(currentUser.id, result)
+        };
+    }
+
+    /**
+     * Confirm an e-KYC OTP without touching any account (used before
+     * registration). Only the last 4 digits are returned; failures carry
+     * the provider's reason ('mismatch', 'expired', 'timeout' or 'error').
+     */
+    async checkAadhaar(transactionId, otp) {
+        if (!transactionId) {
+            return { success: false, reason: 'expired', message: 'Please request an Aadhaar OTP first' };
+        }
+
+        const result = await this.ekyc.verifyOtp(transactionId, String(otp || '').trim());
+        if (!result.success) {
+            return { success: false, reason: result.reason, message: result.message || 'Aadhaar verification failed' };
+        }
 
-            // Also update in provider collection if applicable
-            if (currentUser.role === AuthenticationService.ROLES.PROVIDER) {
-                Storage.updateInCollection('providers', currentUser.id, {
+        return {
+            success: true,
+            message: 'Aadhaar verification successful',
+            last4: result.last4,
+            verifiedAt: result.verifiedAt
+        };
+    }
+
+    /**
+     * Record a successful e-KYC on a user and their provider record
+     */
+    applyAadhaarVerification(userId, { last4, verifiedAt }) {
+        const updatedUser = Storage.updateInCollection('users', userId, {
+            verificationStatus: AuthenticationService.VERIFICATION_STATUS.AADHAAR_VERIFIED,
+            aadhaarVerified: true,
+            aadhaarLast4: last4,
+            aadhaarVerifiedAt: verifiedAt
+        });
+
+        // Provider records have their own id and point back via userId
+        if (updatedUser && updatedUser.role === AuthenticationService.ROLES.PROVIDER) {
+            const provider = Storage.findInCollection('providers', p => p.userId === userId);
+            if (provider) {
+                Storage.updateInCollection('providers', provider.id, {
                     verificationStatus: AuthenticationService.VERIFICATION_STATUS.AADHAAR_VERIFIED,
                     aadhaarVerified: true
                 });
             }
-
-            return { 
-                success: true, 
-                message: 'Aadhaar verification successful',
-                user: updatedUser
-            };
         }
 
-        return { 
-            success: false, 
-            message: 'User session not found' 
-        };
+        return updatedUser;
     }
 
     /**
      * Check if user is authenticated
      */
     isAuthenticated() {
-        return Storage.getCurrentUser() !== null;
+        return this.sessions.status().valid && Storage.getCurrentUser() !== null;
     }
 
     /**
@@ -323,6 +585,33 @@ class AuthenticationService {
         return user?.role === role;
     }
 
+    /**
+     * Check a permission for the logged-in user (see AccessControl.MATRIX).
+     * Pass the record acted on, or AccessControl.ANY to check the role only.
+     */
+    can(permission, resource = null) {
+        return this.guard(permission, resource).allowed;
+    }
+
+    /**
+     * Like can(), but resolves { allowed, reason, message } for views
+     */
+    guard(permission, resource = null) {
+        const user = this.sessions.status().valid ? Storage.getCurrentUser() : null;
+        return AccessControl.check(user, permission, resource);
+    }
+
+    /**
+     * Throw a PermissionError unless the logged-in user holds a permission
+     */
+    assert(permission, resource = null) {
+        const result = this.guard(permission, resource);
+        if (!result.allowed) {
+            throw new PermissionError(permission, result.reason, result.message);
+        }
+        return true;
+    }
+
     /**
      * Check if user is verified
      */
@@ -333,7 +622,7 @@ class AuthenticationService {
     }
 
     /** Ensure a local user record exists for Supabase auth user */
-    _ensureLocalUserFromSupabase(authUser, hints = {}) {
+    async _ensureLocalUserFromSupabase(authUser, hints = {}) {
         if (!authUser) return;
         const users = Storage.getCollection('users');
         const found = users.find(u => u.id === authUser.id);
@@ -342,7 +631,9 @@ class AuthenticationService {
             email: authUser.email || hints.email,
             phoneNumber: authUser.phone || hints.phoneNumber,
             fullName: hints.fullName || hints.name || authUser.user_metadata?.name || 'User',
-            role: hints.role || authUser.user_metadata?.role || AuthenticationService.ROLES.CUSTOMER,
+            // user_metadata is user-editable, so it never grants admin; admins
+            // arrive with their public.users row through sync
+            role: AuthenticationService.signupRole(hints.role || authUser.user_metadata?.role),
             verificationStatus: AuthenticationService.VERIFICATION_STATUS.PHONE_VERIFIED,
             isActive: true,
             profileCompleted: false,
@@ -355,19 +646,24 @@ class AuthenticationService {
             users.push(profile);
             Storage.setCollection('users', users);
         }
+        // Hints only shape a new profile, never an existing one's role
+        const current = found || profile;
 
         // Upsert profile into Supabase public.users for persistence
         try {
             if (window.Supabase && window.Supabase.enabled) {
                 const { client } = window.Supabase;
+                // Profile id matches the auth id so synced bookings can reference it
+                // (schema.sql re-keys older profiles and enforces this)
                 const upsertBody = {
+                    id: authUser.id,
                     auth_id: authUser.id,
-                    email: profile.email,
-                    phone: profile.phoneNumber,
-                    name: profile.fullName,
-                    role: profile.role,
+                    email: current.email,
+                    phone: current.phoneNumber,
+                    name: current.fullName,
+                    role: current.role,
                     status: 'active',
-                    verified: profile.verificationStatus !== AuthenticationService.VERIFICATION_STATUS.UNVERIFIED
+                    verified: current.verificationStatus !== AuthenticationService.VERIFICATION_STATUS.UNVERIFIED
                 };
                 await client.from('users').upsert(upsertBody, { onConflict: 'auth_id' });
             }
@@ -377,9 +673,10 @@ class AuthenticationService {
     }
 
     /**
-     * Upgrade "Other" role to Provider
+     * Upgrade "Other" role to Provider once the Aadhaar e-KYC started
+     * with requestAadhaarOtp is confirmed
      */
-    async upgradeToProvider(userId, aadhaarNumber) {
+    async upgradeToProvider(userId, transactionId, otp) {
         const user = Storage.findInCollection('users', u => u.id === userId);
         
         if (!user || user.role !== AuthenticationService.ROLES.OTHER) {
@@ -389,34 +686,53 @@ class AuthenticationService {
             };
         }
 
-        // Verify Aadhaar first
-        const aadhaarVerification = await this.verifyAadhaar(aadhaarNumber, true);
+        // Confirm the e-KYC started with requestAadhaarOtp first
+        const aadhaarVerification = await this.checkAadhaar(transactionId, otp);
         
         if (!aadhaarVerification.success) {
             return aadhaarVerification;
         }
 
-        // Upgrade user role
-        const updatedUser = Storage.updateInCollection('users', userId, {
-            role: AuthenticationService.ROLES.PROVIDER,
-            verificationStatus: AuthenticationService.VERIFICATION_STATUS.AADHAAR_VERIFIED,
-            upgradedAt: new Date().toISOString()
-        });
+        let updatedUser;
+        try {
+            updatedUser = await Storage.transaction(tx => {
+                // Upgrade user role
+                const upgraded = tx.updateInCollection('users', userId, {
+                    role: AuthenticationService.ROLES.PROVIDER,
+                    verificationStatus: AuthenticationService.VERIFICATION_STATUS.AADHAAR_VERIFIED,
+                    aadhaarVerified: true,
+                    aadhaarLast4: aadhaarVerification.last4,
+                    aadhaarVerifiedAt: aadhaarVerification.verifiedAt,
+                    upgradedAt: new Date().toISOString()
+                });
 
-        // Move from otherWorkers to providers collection
-        Storage.removeFromCollection('otherWorkers', userId);
-        Storage.addToCollection('providers', {
-            userId: updatedUser.id,
-            ...updatedUser
-        });
+                // Move from otherWorkers to providers collection
+                const workerRecord = tx.findBy('otherWorkers', 'userId', userId);
+                if (workerRecord) {
+                    tx.removeFromCollection('otherWorkers', workerRecord.id);
+                }
+                tx.addToCollection('providers', {
+                    userId: upgraded.id,
+                    ...upgraded
+                });
 
-        // Add notification
-        Storage.addNotification({
-            type: 'upgrade',
-            title: 'Upgrade Successful',
-            message: 'Congratulations! You are now a verified service provider.',
-            userId: userId
-        });
+                // Add notification
+                tx.addNotification({
+                    type: 'upgrade',
+                    title: 'Upgrade Successful',
+                    message: 'Congratulations! You are now a verified service provider.',
+                    userId: userId
+                });
+
+                return upgraded;
+            });
+        } catch (error) {
+            console.error('Provider upgrade failed:', error);
+            return {
+                success: false,
+                message: 'Upgrade failed. Please try again.'
+            };
+        }
 
         return { 
             success: true, 
@@ -426,56 +742,157 @@ class AuthenticationService {
     }
 
     /**
-     * Generate booking OTP for service verification
+     * Provider accepts a pending booking; the customer's device then
+     * issues the start code (see watchBookingCodes())
      */
-    generateBookingOTP(bookingId) {
-        const otp = Math.floor(1000 + Math.random() * 9000).toString();
-        
-        // Store OTP with booking
+    confirmBooking(bookingId) {
+        const booking = Storage.findById('bookings', bookingId);
+        if (!booking) {
+            return { success: false, message: 'Booking not found' };
+        }
+
+        const access = this.guard('booking:update', booking);
+        if (!access.allowed) {
+            return { success: false, message: access.message };
+        }
+        if (booking.status !== Constants.BOOKING_STATUS.PENDING) {
+            return { success: false, message: 'Only pending bookings can be confirmed' };
+        }
+
         Storage.updateInCollection('bookings', bookingId, {
-            startOTP: otp,
-            otpGeneratedAt: new Date().toISOString()
+            status: Constants.BOOKING_STATUS.CONFIRMED,
+            confirmedAt: new Date().toISOString()
         });
 
-        return otp;
+        Storage.addNotification({
+            type: Constants.NOTIFICATIONS.BOOKING_CONFIRMED,
+            title: 'Booking Confirmed',
+            message: 'Your booking is confirmed. Share the start code in your booking with your provider when they arrive.',
+            userId: booking.customerId,
+            bookingId
+        });
+
+        return {
+            success: true,
+            message: Constants.SUCCESS.BOOKING_SUCCESS,
+            booking: Storage.findById('bookings', bookingId)
+        };
     }
 
     /**
-     * Verify booking OTP (dual verification)
+     * Regenerate a booking's start or end code on the customer's device
+     * (after it expired or locked; the first code is issued by
+     * watchBookingCodes()). Only the customer holds the codes; they read
+     * them out to the provider.
      */
-    verifyBookingOTP(bookingId, otp, type = 'start') {
-        const booking = Storage.findInCollection('bookings', b => b.id === bookingId);
-        
+    async generateBookingOTP(bookingId, type = 'start') {
+        const booking = Storage.findById('bookings', bookingId);
         if (!booking) {
             return { success: false, message: 'Booking not found' };
         }
 
-        const otpField = type === 'start' ? 'startOTP' : 'endOTP';
-        
-        if (booking[otpField] === otp) {
-            // Update booking status
-            const status = type === 'start' ? 'in_progress' : 'completed';
-            Storage.updateInCollection('bookings', bookingId, {
-                status: status,
-                [`${type}VerifiedAt`]: new Date().toISOString()
+        const access = this.guard('booking:otp', booking);
+        if (!access.allowed) {
+            return { success: false, message: access.message };
+        }
+
+        return this.bookingOtp.issue(bookingId, type, Storage.getCurrentUser().id);
+    }
+
+    /**
+     * Issue booking codes on this device for the signed-in customer as
+     * their bookings become confirmed or started, whether the change was
+     * made here, in another tab or by sync. Returns an unsubscribe
+     * function.
+     */
+    watchBookingCodes() {
+        const issue = () => {
+            const { currentUser } = Storage.getSettings();
+            this.bookingOtp.issuePending(currentUser).catch(error => {
+                console.error('Could not issue booking codes:', error);
             });
+        };
+        const unsubscribers = [Storage.subscribe('bookings', issue), this.onUserChange(issue)];
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
 
-            return { 
-                success: true, 
-                message: `Service ${type} verified successfully` 
-            };
+    /**
+     * The customer's current codes for a booking with their expiry and
+     * remaining attempts
+     */
+    getBookingOTPs(bookingId) {
+        const booking = Storage.findById('bookings', bookingId);
+        if (!booking) {
+            return { success: false, message: 'Booking not found' };
         }
 
-        return { 
-            success: false, 
-            message: 'Invalid OTP' 
+        const access = this.guard('booking:otp', booking);
+        if (!access.allowed) {
+            return { success: false, message: access.message };
+        }
+
+        const status = this.bookingOtp.getStatus(booking);
+        return {
+            success: true,
+            start: { ...status.start, otp: status.start.active ? booking.startOTP : null },
+            end: { ...status.end, otp: status.end.active ? booking.endOTP : null }
         };
     }
 
     /**
-     * Reset password (via OTP)
+     * Verify booking OTP (dual verification). The provider enters the
+     * customer's start code to begin the job and the end code, which the
+     * customer's device issues once the start is verified, to complete it.
+     */
+    async verifyBookingOTP(bookingId, otp, type = 'start') {
+        const booking = Storage.findById('bookings', bookingId);
+        if (!booking) {
+            return { success: false, message: 'Booking not found' };
+        }
+
+        const access = this.guard('booking:update', booking);
+        if (!access.allowed) {
+            return { success: false, message: access.message };
+        }
+
+        const result = await this.bookingOtp.verify(bookingId, otp, type, Storage.getCurrentUser().id);
+        if (!result.success) {
+            return result;
+        }
+
+        if (type === 'start') {
+            Storage.addNotification({
+                type: Constants.NOTIFICATIONS.SERVICE_STARTED,
+                title: 'Service Started',
+                message: 'Your provider has started the job. Share the end code in your booking once the work is done.',
+                userId: booking.customerId,
+                bookingId
+            });
+        } else {
+            Storage.updateInCollection('bookings', bookingId, { completedAt: new Date().toISOString() });
+            Storage.addNotification({
+                type: Constants.NOTIFICATIONS.REVIEW_REQUEST,
+                title: 'How was your service?',
+                message: 'Your service is complete. Please rate your provider.',
+                userId: booking.customerId,
+                bookingId
+            });
+        }
+
+        return { ...result, booking: Storage.findById('bookings', bookingId) };
+    }
+
+    /**
+     * Reset password. `otp` must be a code sent to the phone with
+     * generateOTP(); it is checked (and throttled) before anything changes.
      */
-    async resetPassword(phoneNumber, newPassword) {
+    async resetPassword(phoneNumber, otp, newPassword) {
+        if (!otp) {
+            return { success: false, message: 'OTP is required to reset the password' };
+        }
+        const otpVerification = await this.verifyOTP(otp, phoneNumber);
+        if (!otpVerification.success) return otpVerification;
+
         const user = Storage.findInCollection('users', 
             u => u.phoneNumber === phoneNumber
         );
@@ -487,11 +904,7 @@ class AuthenticationService {
             };
         }
 
-        // In real implementation, password would be hashed
-        Storage.updateInCollection('users', user.id, {
-            password: newPassword, // Should be hashed
-            passwordUpdatedAt: new Date().toISOString()
-        });
+        await this._storePasswordHash(user.id, newPassword);
 
         return { 
             success: true, 
@@ -512,9 +925,8 @@ class AuthenticationService {
      * Validate Aadhaar number format
      */
     validateAadhaarNumber(aadhaarNumber) {
-        // Basic Aadhaar validation (12 digits, doesn't start with 0 or 1)
-        const aadhaarRegex = /^[2-9]{1}\d{11}$/;
-        return aadhaarRegex.test(aadhaarNumber);
+        // 12 digits, doesn't start with 0 or 1, valid Verhoeff check digit
+        return Aadhaar.isValid(aadhaarNumber);
     }
 
     /**
@@ -539,6 +951,16 @@ class AuthenticationService {
                 type: 'aadhaar',
                 icon: 'fa-id-card-check',
                 label: 'Aadhaar Verified',
+                detail: Aadhaar.mask(user.aadhaarLast4),
+                color: 'green'
+            });
+        }
+
+        if (user.verificationStatus === AuthenticationService.VERIFICATION_STATUS.FULLY_VERIFIED) {
+            badges.push({
+                type: 'verified-provider',
+                icon: 'fa-shield-check',
+                label: 'Verified Provider',
                 color: 'green'
             });
         }
@@ -566,46 +988,63 @@ class AuthenticationService {
 }
 
 // Create singleton instance
-// Expose a simple facade expected by other modules/tests
-// Map to this AuthenticationService implementation
-window.AuthenticationService = AuthenticationService;
-window.AuthService = {
-    async sendOtp(phone) {
-        return await new AuthenticationService().generateOTP(phone);
-    },
-    async verifyOtp(code) {
-        return await new AuthenticationService().verifyOTP(code);
-    },
-    // Email/password variants are shimmed for backwards-compat tests
-    async register(userData) {
-        // For compatibility, allow email-based register to reuse registerUser
-        return await new AuthenticationService().registerUser(userData);
-    },
-    async login(identifier, passwordOrOtp) {
-        // Support both flows:
-        // - Phone + OTP (production UI)
-        // - Email + password (tests/legacy)
-        const auth = new AuthenticationService();
-        if ((identifier || '').startsWith('+') || /\d{6,}/.test(identifier)) {
-            return await auth.loginUser(identifier, passwordOrOtp);
-        }
-        // Email/password fallback: find by email and mark current user
-        const user = Storage.findInCollection('users', u => u.email === identifier);
-        if (!user) {
-            return { success: false, error: 'User not found' };
-        }
-        Storage.setCurrentUser(user.id);
-        return { success: true, user };
-    },
-    logout() {
-        return new AuthenticationService().logoutUser();
-    },
-    isAuthenticated() {
-        return Storage.getCurrentUser() !== null;
-    }
-};
-
-const Auth = new AuthenticationService();
+const Auth = new AuthenticationService();
+
+// Expose a simple facade expected by other modules/tests
+// Every call goes through the singleton so pending OTP state is shared
+window.AuthenticationService = AuthenticationService;
+window.Auth = Auth;
+window.AuthService = {
+    async sendOtp(phone) {
+        return await Auth.generateOTP(phone);
+    },
+    async verifyOtp(code, phone) {
+        return await Auth.verifyOTP(code, phone);
+    },
+    getOtpStatus(phone) {
+        return Auth.getOtpStatus(phone);
+    },
+    // Email/password variants are shimmed for backwards-compat tests
+    async register(userData) {
+        // For compatibility, allow email-based register to reuse registerUser
+        return await Auth.registerUser(userData);
+    },
+    async login(identifier, passwordOrOtp) {
+        // Support both flows:
+        // - Phone + OTP (production UI)
+        // - Email + password (tests/legacy)
+        if ((identifier || '').startsWith('+') || /\d{6,}/.test(identifier)) {
+            return await Auth.loginUser(identifier, passwordOrOtp);
+        }
+        return await Auth.loginWithPassword(identifier, passwordOrOtp);
+    },
+    logout() {
+        return Auth.logoutUser();
+    },
+    isAuthenticated() {
+        return Auth.isAuthenticated();
+    },
+    can(permission, resource) {
+        return Auth.can(permission, resource);
+    },
+    getSessions(options) {
+        return Auth.getSessions(options);
+    },
+    revokeSession(sessionId) {
+        return Auth.revokeSession(sessionId);
+    },
+    async revokeOtherSessions() {
+        return await Auth.revokeOtherSessions();
+    }
+};
+
+// Enforce timeouts, pick up revocations and issue booking codes once
+// data is loaded
+Storage.ready.then(() => {
+    Auth.watchUser();
+    Auth.sessions.monitor();
+    Auth.watchBookingCodes();
+});
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
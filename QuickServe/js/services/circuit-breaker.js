@@ -0,0 +1,130 @@
+/**
+ * QuickServe Circuit Breaker
+ * Per-host breaker for ApiService, so a backend that is down is not hit by
+ * every view and retry:
+ *
+ *   closed    - requests flow; outcomes of the last windowMs are counted and
+ *               the circuit opens once at least minRequests were made and
+ *               failureRate of them failed
+ *   open      - requests fail at once until openMs has passed
+ *   half-open - one probe request is let through; success closes the
+ *               circuit, failure opens it again for twice as long (up to
+ *               maxOpenMs)
+ *
+ * Failures are network errors, timeouts and 5xx responses; any other
+ * answer shows the host is up. ApiService probes its own host with
+ * healthCheck(); for other hosts the first request after openMs is the
+ * probe.
+ */
+
+class CircuitBreaker {
+    constructor(host, options = {}) {
+        this.host = host;
+        this.options = { ...CircuitBreaker.DEFAULTS, ...options };
+        this.state = 'closed';
+        this.outcomes = [];
+        this.openMs = this.options.openMs;
+        this.openUntil = 0;
+        this.probing = false;
+        this.listeners = new Set();
+    }
+
+    static DEFAULTS = {
+        windowMs: 30 * 1000,
+        minRequests: 5,
+        failureRate: 0.5,
+        openMs: 15 * 1000,
+        maxOpenMs: 5 * 60 * 1000
+    };
+
+    /**
+     * Whether a request may go out now. probe requests (health checks) are
+     * let through an open circuit without waiting for openMs.
+     */
+    allowRequest(probe = false, now = Date.now()) {
+        if (this.state === 'closed') return true;
+        if (this.state === 'open' && !probe && now < this.openUntil) return false;
+        if (this.state === 'half-open' && this.probing) return false;
+
+        this.transition('half-open');
+        this.probing = true;
+        return true;
+    }
+
+    /**
+     * Milliseconds until the circuit lets a request through again
+     */
+    retryAfterMs(now = Date.now()) {
+        return Math.max(0, this.openUntil - now);
+    }
+
+    record(ok, now = Date.now()) {
+        if (this.state === 'half-open') {
+            this.probing = false;
+            if (ok) {
+                this.openMs = this.options.openMs;
+                this.outcomes = [];
+                this.transition('closed');
+            } else {
+                this.open(Math.min(this.openMs * 2, this.options.maxOpenMs), now);
+            }
+            return;
+        }
+        // Late answers to requests sent before the circuit opened
+        if (this.state === 'open') return;
+
+        this.outcomes = [...this.outcomes.filter(outcome => now - outcome.at < this.options.windowMs), { at: now, ok }];
+        const failures = this.outcomes.filter(outcome => !outcome.ok).length;
+        if (this.outcomes.length >= this.options.minRequests && failures / this.outcomes.length >= this.options.failureRate) {
+            this.open(this.options.openMs, now);
+        }
+    }
+
+    open(openMs, now = Date.now()) {
+        this.openMs = openMs;
+        this.openUntil = now + openMs;
+        this.outcomes = [];
+        this.transition('open');
+    }
+
+    transition(state) {
+        if (state === this.state) return;
+        const previous = this.state;
+        this.state = state;
+        this.listeners.forEach(handler => {
+            try {
+                handler({ host: this.host, state, previous, retryAfterMs: this.retryAfterMs() });
+            } catch (error) {
+                console.error('circuit state handler failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Called with { host, state, previous, retryAfterMs } on every state
+     * change. Returns an unsubscribe function.
+     */
+    onStateChange(handler) {
+        this.listeners.add(handler);
+        return () => this.listeners.delete(handler);
+    }
+
+    getStatus(now = Date.now()) {
+        const failures = this.outcomes.filter(outcome => !outcome.ok).length;
+        return {
+            host: this.host,
+            state: this.state,
+            requests: this.outcomes.length,
+            failures,
+            retryAfterMs: this.state === 'open' ? this.retryAfterMs(now) : 0
+        };
+    }
+}
+
+// Expose globally
+window.CircuitBreaker = CircuitBreaker;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CircuitBreaker;
+}
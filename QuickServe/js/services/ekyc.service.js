@@ -0,0 +1,189 @@
+/**
+ * QuickServe Aadhaar e-KYC Adapters
+ * OTP-based e-KYC in two calls: requestOtp() sends an OTP to the mobile
+ * number linked to the Aadhaar number (the user's consent is recorded with
+ * the request), and verifyOtp() confirms it.
+ *
+ *   requestOtp(aadhaarNumber, consent) -> { success, transactionId, reason, message }
+ *   verifyOtp(transactionId, otp)      -> { success, last4, verifiedAt, reason, message }
+ *
+ * Failure reasons: 'mismatch' (wrong OTP or details), 'expired' (unknown or
+ * stale transaction), 'timeout' and 'error'.
+ *
+ * EkycAdapter.create() picks the adapter from window.ENV:
+ *   AADHAAR_EKYC: 'http' uses HttpEkycAdapter against AADHAAR_VERIFY_URL
+ *   (default CONSTANTS.API.AADHAAR_VERIFY); 'mock' uses the mock, whose
+ *   outcome is set by AADHAAR_EKYC_SCENARIO. Any other value, or none,
+ *   logs an error and gives UnavailableEkycAdapter, which fails every
+ *   request, so a misconfigured deployment cannot skip e-KYC.
+ */
+
+class EkycAdapter {
+    static TIMEOUT_MS = 15000;
+
+    static TIMEOUT_RESULT = {
+        success: false,
+        reason: 'timeout',
+        message: 'Aadhaar verification timed out. Please try again.'
+    };
+
+    static create(env = window.ENV || {}) {
+        if (env.AADHAAR_EKYC === 'http') {
+            return new HttpEkycAdapter(env.AADHAAR_VERIFY_URL || Constants.API.AADHAAR_VERIFY);
+        }
+        if (env.AADHAAR_EKYC === 'mock') {
+            return new MockEkycAdapter({ scenario: env.AADHAAR_EKYC_SCENARIO });
+        }
+        console.error(`Aadhaar e-KYC is not configured: set ENV.AADHAAR_EKYC to 'http' or 'mock' (got ${JSON.stringify(env.AADHAAR_EKYC)})`);
+        return new UnavailableEkycAdapter();
+    }
+
+    async requestOtp(aadhaarNumber, consent) {
+        throw new Error('requestOtp is not implemented');
+    }
+
+    async verifyOtp(transactionId, otp) {
+        throw new Error('verifyOtp is not implemented');
+    }
+}
+
+/**
+ * e-KYC over HTTPS: POST {endpoint}/otp, then POST {endpoint}
+ */
+class HttpEkycAdapter extends EkycAdapter {
+    constructor(endpoint = Constants.API.AADHAAR_VERIFY, { timeoutMs = EkycAdapter.TIMEOUT_MS } = {}) {
+        super();
+        this.endpoint = endpoint.replace(/\/$/, '');
+        this.timeoutMs = timeoutMs;
+    }
+
+    async post(path, body) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+        try {
+            const response = await fetch(`${this.endpoint}${path}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                return {
+                    success: false,
+                    reason: data.reason || (response.status === 422 ? 'mismatch' : 'error'),
+                    message: data.message || 'Aadhaar verification failed'
+                };
+            }
+            return { success: true, ...data };
+        } catch (error) {
+            if (error.name === 'AbortError') return { ...EkycAdapter.TIMEOUT_RESULT };
+            return { success: false, reason: 'error', message: 'Aadhaar service is unavailable. Please try again.' };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async requestOtp(aadhaarNumber, consent) {
+        const result = await this.post('/otp', { aadhaarNumber, consent });
+        if (!result.success) return result;
+        return { success: true, transactionId: result.transactionId, message: result.message };
+    }
+
+    async verifyOtp(transactionId, otp) {
+        const result = await this.post('', { transactionId, otp });
+        if (!result.success) return result;
+        return {
+            success: true,
+            last4: result.last4 || Aadhaar.normalize(result.maskedAadhaar).slice(-4),
+            verifiedAt: result.verifiedAt || new Date().toISOString(),
+            message: result.message
+        };
+    }
+}
+
+/**
+ * Local stand-in for demos and development. scenario is 'success',
+ * 'mismatch' (verifyOtp always fails) or 'timeout' (requests time out).
+ */
+class MockEkycAdapter extends EkycAdapter {
+    constructor({ scenario = 'success', delayMs = 1500, timeoutMs = EkycAdapter.TIMEOUT_MS } = {}) {
+        super();
+        this.scenario = MockEkycAdapter.SCENARIOS.includes(scenario) ? scenario : 'success';
+        this.delayMs = delayMs;
+        this.timeoutMs = timeoutMs;
+        this.transactions = new Map();
+    }
+
+    static SCENARIOS = ['success', 'mismatch', 'timeout'];
+    static OTP_TTL_MS = 10 * 60 * 1000;
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    async requestOtp(aadhaarNumber, consent) {
+        if (this.scenario === 'timeout') {
+            await this.wait(this.timeoutMs);
+            return { ...EkycAdapter.TIMEOUT_RESULT };
+        }
+        await this.wait(this.delayMs);
+
+        const transactionId = Storage.generateId();
+        const otp = Math.floor(100000 + Math.random() * 900000).toString();
+        this.transactions.set(transactionId, {
+            otp,
+            last4: aadhaarNumber.slice(-4),
+            consent,
+            expiresAt: Date.now() + MockEkycAdapter.OTP_TTL_MS
+        });
+
+        if (window.Toast) window.Toast.show(`Your Aadhaar OTP is: ${otp}`, 'info');
+        return { success: true, transactionId };
+    }
+
+    async verifyOtp(transactionId, otp) {
+        await this.wait(this.delayMs);
+        const transaction = this.transactions.get(transactionId);
+        if (!transaction || transaction.expiresAt <= Date.now()) {
+            this.transactions.delete(transactionId);
+            return { success: false, reason: 'expired', message: 'Aadhaar OTP has expired. Please request a new one.' };
+        }
+        if (this.scenario === 'mismatch' || String(otp) !== transaction.otp) {
+            return { success: false, reason: 'mismatch', message: 'Aadhaar OTP or details did not match.' };
+        }
+
+        this.transactions.delete(transactionId);
+        return { success: true, last4: transaction.last4, verifiedAt: new Date().toISOString() };
+    }
+}
+
+/**
+ * Stand-in when no adapter is configured: every request fails
+ */
+class UnavailableEkycAdapter extends EkycAdapter {
+    static RESULT = {
+        success: false,
+        reason: 'error',
+        message: 'Aadhaar verification is not available right now. Please try again later.'
+    };
+
+    async requestOtp(aadhaarNumber, consent) {
+        return { ...UnavailableEkycAdapter.RESULT };
+    }
+
+    async verifyOtp(transactionId, otp) {
+        return { ...UnavailableEkycAdapter.RESULT };
+    }
+}
+
+// Expose globally
+window.EkycAdapter = EkycAdapter;
+window.HttpEkycAdapter = HttpEkycAdapter;
+window.MockEkycAdapter = MockEkycAdapter;
+window.UnavailableEkycAdapter = UnavailableEkycAdapter;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EkycAdapter, HttpEkycAdapter, MockEkycAdapter, UnavailableEkycAdapter };
+}
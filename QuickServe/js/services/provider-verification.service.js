@@ -0,0 +1,391 @@
+/**
+ * QuickServe Provider Verification
+ * Document uploads for providers (Aadhaar card, PAN, GST, certifications)
+ * and the admin review queue that approves or rejects them.
+ *
+ *   submitted -> under_review -> approved | rejected (with a reason)
+ *
+ * Documents live in the `providerDocuments` collection (the number is
+ * encrypted at rest), which syncs to Supabase so admins on any device see
+ * the queue. The files themselves are kept by DocumentFileStore (the
+ * Supabase Storage bucket, or IndexedDB on this device) and the record
+ * holds a `file` reference; getFileUrl() opens one. Records from before
+ * that carry the image inline as `fileData`.
+ *
+ * `documents` on the provider's users and providers records keeps a
+ * { id, status } summary per slot, updated here and by watch() for
+ * reviews pulled from other devices. Once every
+ * REQUIRED_DOCUMENTS slot is approved and Aadhaar is verified (e-KYC or an
+ * approved Aadhaar card), the provider becomes FULLY_VERIFIED.
+ *
+ * Methods resolve to { success, message, ... } like AuthenticationService.
+ */
+
+class ProviderVerificationService {
+    constructor(storage, auth, files = new DocumentFileStore()) {
+        this.storage = storage;
+        this.auth = auth;
+        this.files = files;
+    }
+
+    static COLLECTION = 'providerDocuments';
+
+    static DOCUMENT_TYPES = {
+        AADHAAR: 'aadhaar',
+        PAN: 'pan',
+        GST: 'gst',
+        CERTIFICATION: 'certification'
+    };
+
+    static STATUS = {
+        SUBMITTED: 'submitted',
+        UNDER_REVIEW: 'under_review',
+        APPROVED: 'approved',
+        REJECTED: 'rejected'
+    };
+
+    /**
+     * Statuses reachable from each status
+     */
+    static TRANSITIONS = {
+        submitted: ['under_review'],
+        under_review: ['approved', 'rejected'],
+        approved: [],
+        rejected: []
+    };
+
+    static REQUIRED_DOCUMENTS = ['pan'];
+
+    // Document types that carry a number checked against CONSTANTS.VALIDATION
+    static NUMBERED_TYPES = { pan: 'PAN', gst: 'GST' };
+
+    static MIME_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif' };
+
+    /**
+     * Client-side type and size check against DEFAULTS.MAX_FILE_SIZE_MB and
+     * DEFAULTS.SUPPORTED_IMAGE_FORMATS
+     */
+    validateFile(file) {
+        if (!file) return { valid: false, message: 'Please choose a file to upload' };
+
+        const { MAX_FILE_SIZE_MB, SUPPORTED_IMAGE_FORMATS } = Constants.DEFAULTS;
+        const extension = String(file.name || '').split('.').pop().toLowerCase();
+        const expectedType = ProviderVerificationService.MIME_TYPES[extension];
+        if (!SUPPORTED_IMAGE_FORMATS.includes(extension) || (file.type && file.type !== expectedType)) {
+            return { valid: false, message: `Please upload a ${SUPPORTED_IMAGE_FORMATS.join(', ').toUpperCase()} image` };
+        }
+        if (file.size > MAX_FILE_SIZE_MB * 1024 * 1024) {
+            return { valid: false, message: `File must be ${MAX_FILE_SIZE_MB} MB or smaller` };
+        }
+        return { valid: true, message: null };
+    }
+
+    /**
+     * Normalize and check a PAN or GST number. Resolves { valid, number }.
+     */
+    validateNumber(type, number) {
+        const key = ProviderVerificationService.NUMBERED_TYPES[type];
+        if (!key) return { valid: true, number: null };
+
+        const normalized = String(number || '').replace(/\s/g, '').toUpperCase();
+        return { valid: Constants.VALIDATION[key].test(normalized), number: normalized };
+    }
+
+    /**
+     * The { id, status } summary kept per slot on the provider records
+     */
+    getSlots(userId) {
+        const user = this.storage.findById('users', userId);
+        return { aadhaar: null, pan: null, gst: null, certification: [], ...(user?.documents || {}) };
+    }
+
+    /**
+     * Apply changes to a provider's users record and providers record
+     */
+    updateProvider(userId, changes) {
+        const user = this.storage.updateInCollection('users', userId, changes);
+        const provider = this.storage.findInCollection('providers', p => p.userId === userId);
+        if (provider) {
+            this.storage.updateInCollection('providers', provider.id, changes);
+        }
+        return user;
+    }
+
+    setSlot(userId, document) {
+        const slots = this.getSlots(userId);
+        const summary = { id: document.id, status: document.status };
+        if (document.type === ProviderVerificationService.DOCUMENT_TYPES.CERTIFICATION) {
+            const others = slots.certification.filter(entry => entry.id !== document.id);
+            slots.certification = [...others, summary];
+        } else {
+            slots[document.type] = summary;
+        }
+        this.updateProvider(userId, { documents: slots });
+    }
+
+    /**
+     * Upload a document for the logged-in provider. number is required for
+     * PAN and GST; title names a certification.
+     */
+    async submitDocument({ type, file, number = null, title = null } = {}) {
+        const user = this.storage.getCurrentUser();
+        const access = this.auth.guard('provider:documents', user ? { userId: user.id } : null);
+        if (!access.allowed) return { success: false, message: access.message };
+
+        const { DOCUMENT_TYPES, STATUS } = ProviderVerificationService;
+        if (!Object.values(DOCUMENT_TYPES).includes(type)) {
+            return { success: false, message: 'Unknown document type' };
+        }
+        if (!this.files.isAvailable()) {
+            return { success: false, message: 'Document uploads are not supported in this browser' };
+        }
+
+        // Approved or pending documents are not replaced; rejected ones are
+        const current = this.getSlots(user.id)[type];
+        if (type !== DOCUMENT_TYPES.CERTIFICATION && current && current.status !== STATUS.REJECTED) {
+            return {
+                success: false,
+                message: current.status === STATUS.APPROVED
+                    ? 'This document is already approved'
+                    : 'This document is already waiting for review'
+            };
+        }
+
+        const checkedNumber = this.validateNumber(type, number);
+        if (!checkedNumber.valid) {
+            return { success: false, message: Constants.ERRORS[`INVALID_${ProviderVerificationService.NUMBERED_TYPES[type]}`] };
+        }
+
+        const checkedFile = this.validateFile(file);
+        if (!checkedFile.valid) return { success: false, message: checkedFile.message };
+
+        const extension = file.name.split('.').pop().toLowerCase();
+        let stored;
+        try {
+            stored = await this.files.save(`${user.id}/${this.storage.generateId()}.${extension}`, file);
+        } catch (error) {
+            console.error('Failed to store document:', error);
+            return { success: false, message: 'Could not upload the file. Please try again.' };
+        }
+
+        const submittedAt = new Date().toISOString();
+        const document = this.storage.addToCollection(ProviderVerificationService.COLLECTION, {
+            userId: user.id,
+            type,
+            number: checkedNumber.number,
+            title: type === DOCUMENT_TYPES.CERTIFICATION ? String(title || file.name).trim() : null,
+            fileName: file.name,
+            mimeType: ProviderVerificationService.MIME_TYPES[extension],
+            size: file.size,
+            file: stored,
+            status: STATUS.SUBMITTED,
+            submittedAt,
+            reviewerId: null,
+            reviewedAt: null,
+            rejectionReason: null,
+            history: [{ status: STATUS.SUBMITTED, at: submittedAt, by: user.id }]
+        });
+        this.setSlot(user.id, document);
+
+        return { success: true, message: 'Document submitted for review', document };
+    }
+
+    /**
+     * URL of a document's image, for its provider or an admin. Resolves
+     * { success, url }; url is null when the file is only on another device.
+     */
+    async getFileUrl(documentId) {
+        const document = this.storage.findById(ProviderVerificationService.COLLECTION, documentId);
+        const access = this.auth.guard('admin:providers:verify').allowed
+            ? { allowed: true }
+            : this.auth.guard('provider:documents', document);
+        if (!access.allowed) return { success: false, message: access.message };
+        if (!document) return { success: false, message: 'Document not found' };
+
+        if (document.fileData) return { success: true, url: document.fileData };
+        try {
+            return { success: true, url: await this.files.url(document.file) };
+        } catch (error) {
+            console.error('Failed to open document:', error);
+            return { success: false, message: 'Could not open the file. Please try again.' };
+        }
+    }
+
+    /**
+     * A provider's documents (the logged-in user's by default), newest first
+     */
+    getDocuments(userId = this.storage.getSettings().currentUser) {
+        if (!userId) return [];
+        return this.storage.filterCollection(ProviderVerificationService.COLLECTION, doc => doc.userId === userId)
+            .sort((a, b) => (b.submittedAt || '').localeCompare(a.submittedAt || ''));
+    }
+
+    /**
+     * Where a provider stands: per-slot status, missing required documents
+     * and whether they are fully verified
+     */
+    getStatus(userId = this.storage.getSettings().currentUser) {
+        const user = userId ? this.storage.findById('users', userId) : null;
+        if (!user) return null;
+
+        const slots = this.getSlots(userId);
+        const { APPROVED } = ProviderVerificationService.STATUS;
+        const missing = ProviderVerificationService.REQUIRED_DOCUMENTS.filter(type => slots[type]?.status !== APPROVED);
+        const aadhaarVerified = !!user.aadhaarVerified || slots.aadhaar?.status === APPROVED;
+        if (!aadhaarVerified) missing.unshift(ProviderVerificationService.DOCUMENT_TYPES.AADHAAR);
+
+        return {
+            documents: slots,
+            missing,
+            fullyVerified: user.verificationStatus === AuthenticationService.VERIFICATION_STATUS.FULLY_VERIFIED
+        };
+    }
+
+    /**
+     * Documents waiting for an admin, oldest first. Resolves
+     * { success, queue } where each entry carries the provider's name.
+     */
+    getReviewQueue() {
+        const access = this.auth.guard('admin:providers:verify');
+        if (!access.allowed) return { success: false, message: access.message, queue: [] };
+
+        const { SUBMITTED, UNDER_REVIEW } = ProviderVerificationService.STATUS;
+        const queue = this.storage.filterCollection(ProviderVerificationService.COLLECTION,
+            doc => doc.status === SUBMITTED || doc.status === UNDER_REVIEW)
+            .sort((a, b) => (a.submittedAt || '').localeCompare(b.submittedAt || ''))
+            .map(doc => {
+                const provider = this.storage.findById('users', doc.userId);
+                return { ...doc, providerName: provider?.fullName || 'Unknown provider' };
+            });
+        return { success: true, queue };
+    }
+
+    /**
+     * Move a document to another status as the logged-in admin
+     */
+    transition(documentId, status, changes = {}) {
+        const access = this.auth.guard('admin:providers:verify');
+        if (!access.allowed) return { success: false, message: access.message };
+
+        const document = this.storage.findById(ProviderVerificationService.COLLECTION, documentId);
+        if (!document) return { success: false, message: 'Document not found' };
+        if (!ProviderVerificationService.TRANSITIONS[document.status].includes(status)) {
+            return { success: false, message: `A ${document.status.replace('_', ' ')} document cannot be ${status.replace('_', ' ')}` };
+        }
+
+        const admin = this.storage.getCurrentUser();
+        const at = new Date().toISOString();
+        const updated = this.storage.updateInCollection(ProviderVerificationService.COLLECTION, documentId, {
+            ...changes,
+            status,
+            reviewerId: admin.id,
+            ...(status === ProviderVerificationService.STATUS.UNDER_REVIEW ? {} : { reviewedAt: at }),
+            history: [...(document.history || []), { status, at, by: admin.id, ...(changes.rejectionReason ? { reason: changes.rejectionReason } : {}) }]
+        });
+        this.setSlot(document.userId, updated);
+        return { success: true, document: updated };
+    }
+
+    /**
+     * Pick a document from the queue
+     */
+    startReview(documentId) {
+        const result = this.transition(documentId, ProviderVerificationService.STATUS.UNDER_REVIEW);
+        return result.success ? { ...result, message: 'Document is under review' } : result;
+    }
+
+    approveDocument(documentId) {
+        const result = this.transition(documentId, ProviderVerificationService.STATUS.APPROVED);
+        if (!result.success) return result;
+
+        const { document } = result;
+        this.storage.addNotification({
+            type: 'document_approved',
+            title: 'Document Approved',
+            message: `Your ${this.label(document)} has been approved.`,
+            userId: document.userId
+        });
+        const user = this.refreshVerificationStatus(document.userId);
+        return { success: true, message: 'Document approved', document, user };
+    }
+
+    /**
+     * Reject with a reason the provider can act on
+     */
+    rejectDocument(documentId, reason) {
+        const rejectionReason = String(reason || '').trim();
+        if (rejectionReason.length < 3) {
+            return { success: false, message: 'Please give a reason for the rejection' };
+        }
+
+        const result = this.transition(documentId, ProviderVerificationService.STATUS.REJECTED, { rejectionReason });
+        if (!result.success) return result;
+
+        const { document } = result;
+        this.storage.addNotification({
+            type: 'document_rejected',
+            title: 'Document Rejected',
+            message: `Your ${this.label(document)} was rejected: ${rejectionReason}. Please upload it again.`,
+            userId: document.userId
+        });
+        return { success: true, message: 'Document rejected', document };
+    }
+
+    /**
+     * Mark a provider FULLY_VERIFIED once nothing required is missing
+     */
+    refreshVerificationStatus(userId) {
+        const status = this.getStatus(userId);
+        if (!status || status.fullyVerified || status.missing.length > 0) {
+            return this.storage.findById('users', userId);
+        }
+
+        const user = this.updateProvider(userId, {
+            verificationStatus: AuthenticationService.VERIFICATION_STATUS.FULLY_VERIFIED,
+            fullyVerifiedAt: new Date().toISOString()
+        });
+        this.storage.addNotification({
+            type: 'verification_complete',
+            title: 'Fully Verified',
+            message: 'Your documents are approved. Your profile now shows the Verified Provider badge.',
+            userId
+        });
+        return user;
+    }
+
+    label(document) {
+        const labels = { aadhaar: 'Aadhaar card', pan: 'PAN card', gst: 'GST certificate' };
+        return labels[document.type] || document.title || 'certification';
+    }
+
+    /**
+     * Apply documents pulled by sync (submitted or reviewed on another
+     * device) to the slot summaries and verification status. Returns an
+     * unsubscribe function.
+     */
+    watch() {
+        return this.storage.subscribe(ProviderVerificationService.COLLECTION, (changes) => {
+            changes.forEach(change => {
+                const document = change.item;
+                // Records written by pull carry syncedAt === updatedAt
+                if (!document || !document.syncedAt || document.syncedAt !== document.updatedAt) return;
+                this.setSlot(document.userId, document);
+                if (document.status === ProviderVerificationService.STATUS.APPROVED) {
+                    this.refreshVerificationStatus(document.userId);
+                }
+            });
+        });
+    }
+}
+
+const ProviderVerification = new ProviderVerificationService(Storage, Auth);
+ProviderVerification.watch();
+
+// Expose globally
+window.ProviderVerificationService = ProviderVerificationService;
+window.ProviderVerification = ProviderVerification;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProviderVerificationService, ProviderVerification };
+}
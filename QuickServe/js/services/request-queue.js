@@ -0,0 +1,214 @@
+/**
+ * QuickServe Request Queue
+ * Durable outbox for ApiService mutations sent with `queueable: true`
+ * (cancelling a booking, marking notifications read, ...). When the
+ * device is offline, or the request fails without reaching the server,
+ * the request is saved to the `requestOutbox` collection and ApiService
+ * resolves { status: 202, queued: true, data: null } instead of failing.
+ *
+ * Queued requests are replayed in order when the browser comes back
+ * online and on start-up, one tab at a time when Web Locks exist. A
+ * replay that the server rejects (4xx) is dropped and reported to the
+ * onConflict handlers and as a `request:conflict` document event; one
+ * that cannot get through leaves it and everything after it for the next
+ * run. Only JSON bodies can be queued, and auth headers are never stored:
+ * a replay uses the tokens current at that time and the request's original
+ * Idempotency-Key.
+ *
+ * Queued requests are never pruned or evicted. Once MAX_PENDING are
+ * waiting, new ones are refused with a `queueFull` ApiError and a
+ * `request:overflow` document event instead.
+ */
+
+class RequestQueue {
+    constructor(storage, api) {
+        this.storage = storage;
+        this.api = api;
+        this.replaying = false;
+        this.conflictHandlers = new Set();
+    }
+
+    static COLLECTION = 'requestOutbox';
+    static RETRY_INTERVAL_MS = 60 * 1000;
+    static MAX_PENDING = 200;
+
+    static isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    /**
+     * Errors where the request may never have reached the server: network
+     * failures from fetch(), timeouts and requests held back by an open
+     * circuit. Anything else is a bug and is not queued.
+     */
+    static isNetworkError(error) {
+        if (error instanceof ApiError) return error.status === 408 || !!error.data?.circuitOpen;
+        return error instanceof TypeError && !!error.network;
+    }
+
+    static canQueue(config) {
+        // Plain objects and arrays; not FormData, Blob and the like
+        return config.data === undefined || config.data === null ||
+            ['[object Object]', '[object Array]'].includes(Object.prototype.toString.call(config.data));
+    }
+
+    start() {
+        window.addEventListener('online', () => this.replay());
+        // Servers that were down when we came back online
+        setInterval(() => {
+            if (this.getPending().length > 0) this.replay();
+        }, RequestQueue.RETRY_INTERVAL_MS);
+        this.replay();
+    }
+
+    /**
+     * Save a request and return the response ApiService hands back. Throws
+     * when the queue is full.
+     */
+    enqueue(config) {
+        const items = this.storage.getCollection(RequestQueue.COLLECTION);
+        if (items.length >= RequestQueue.MAX_PENDING) {
+            throw this.overflow(config, items.length);
+        }
+
+        const entry = {
+            id: this.storage.generateId(),
+            userId: this.storage.getSettings().currentUser || null,
+            method: (config.method || 'GET').toUpperCase(),
+            url: config.url,
+            data: config.data ?? null,
+            idempotencyKey: config.headers?.['Idempotency-Key'] || null,
+            queuedAt: new Date().toISOString(),
+            attempts: 0,
+            lastError: null
+        };
+        this.storage.setCollection(RequestQueue.COLLECTION, [...items, { ...entry, createdAt: entry.queuedAt, updatedAt: entry.queuedAt }]);
+        return { data: null, status: 202, headers: null, queued: true, queueId: entry.id };
+    }
+
+    overflow(config, pending) {
+        const error = new ApiError(507, 'Insufficient Storage', {
+            message: 'Too many changes are waiting to be sent. Go back online before making more.',
+            queueFull: true
+        });
+        console.warn(`Request queue is full (${pending}); ${(config.method || 'GET').toUpperCase()} ${config.url} was not queued`);
+        if (typeof document !== 'undefined' && document.dispatchEvent) {
+            document.dispatchEvent(new CustomEvent('request:overflow', {
+                detail: { method: (config.method || 'GET').toUpperCase(), url: config.url, pending, error }
+            }));
+        }
+        return error;
+    }
+
+    /**
+     * Called with { entry, error } for each replayed request the server
+     * rejected. Returns an unsubscribe function.
+     */
+    onConflict(handler) {
+        this.conflictHandlers.add(handler);
+        return () => this.conflictHandlers.delete(handler);
+    }
+
+    /**
+     * Pending requests of the signed-in user, oldest first
+     */
+    getPending() {
+        const userId = this.storage.getSettings().currentUser || null;
+        return this.storage.getCollection(RequestQueue.COLLECTION).filter(entry => entry.userId === userId);
+    }
+
+    getStatus() {
+        const pending = this.getPending();
+        return {
+            pending: pending.length,
+            replaying: this.replaying,
+            oldest: pending[0]?.queuedAt || null,
+            lastError: pending[0]?.lastError || null,
+            full: this.storage.getCollection(RequestQueue.COLLECTION).length >= RequestQueue.MAX_PENDING
+        };
+    }
+
+    /**
+     * Handler called with getStatus() whenever the queue changes. Returns
+     * an unsubscribe function.
+     */
+    subscribe(handler) {
+        return this.storage.subscribe(RequestQueue.COLLECTION, () => handler(this.getStatus()));
+    }
+
+    /**
+     * Send queued requests in order. Resolves { sent, conflicts } or null
+     * when skipped (offline, already running or another tab has the lock).
+     */
+    async replay() {
+        if (this.replaying || RequestQueue.isOffline()) return null;
+
+        this.replaying = true;
+        try {
+            await this.storage.ready;
+            const run = () => this.drain();
+            if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+                return await navigator.locks.request('quickserve-request-queue', { ifAvailable: true }, lock => lock ? run() : null);
+            }
+            return await run();
+        } finally {
+            this.replaying = false;
+        }
+    }
+
+    async drain() {
+        let sent = 0;
+        let conflicts = 0;
+
+        for (const entry of this.getPending()) {
+            try {
+                await this.api.request({
+                    method: entry.method,
+                    url: entry.url,
+                    data: entry.data ?? undefined,
+                    idempotencyKey: entry.idempotencyKey || undefined,
+                    _replay: true
+                });
+                this.storage.removeFromCollection(RequestQueue.COLLECTION, entry.id);
+                sent++;
+            } catch (error) {
+                // Not an answer from the server: a bug, not a conflict
+                if (!(error instanceof ApiError) && !RequestQueue.isNetworkError(error)) throw error;
+                if (RequestQueue.isNetworkError(error) || error.status >= 500 || [401, 429].includes(error.status)) {
+                    // Still unreachable or signed out: keep this and every later request in order
+                    this.storage.updateInCollection(RequestQueue.COLLECTION, entry.id, {
+                        attempts: entry.attempts + 1,
+                        lastError: error.message
+                    });
+                    break;
+                }
+                this.storage.removeFromCollection(RequestQueue.COLLECTION, entry.id);
+                conflicts++;
+                this.reportConflict(entry, error);
+            }
+        }
+        return { sent, conflicts };
+    }
+
+    reportConflict(entry, error) {
+        console.warn(`Queued ${entry.method} ${entry.url} was rejected:`, error.message);
+        this.conflictHandlers.forEach(handler => {
+            try {
+                handler({ entry, error });
+            } catch (handlerError) {
+                console.error('request conflict handler failed:', handlerError);
+            }
+        });
+        if (typeof document !== 'undefined' && document.dispatchEvent) {
+            document.dispatchEvent(new CustomEvent('request:conflict', { detail: { entry, error } }));
+        }
+    }
+}
+
+// Expose globally
+window.RequestQueue = RequestQueue;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RequestQueue;
+}
@@ -0,0 +1,158 @@
+/**
+ * QuickServe Response Cache
+ * In-memory cache for ApiService GET responses. Each endpoint has a policy:
+ *
+ *   network-only           - always ask the server (the default)
+ *   cache-first            - serve a fresh entry, ask the server once it is
+ *                            older than maxAgeMs
+ *   stale-while-revalidate - serve a fresh entry; serve a stale one (up to
+ *                            staleMs old) at once and refresh it behind
+ *                            the caller's back
+ *
+ * Requests for a cached URL carry If-None-Match / If-Modified-Since from
+ * the entry, and a 304 renews the entry. Entries are keyed by user, and a
+ * successful mutation drops the entries of the same resource (first path
+ * segment) plus those whose policy lists the mutated path in invalidatedBy.
+ */
+
+class ResponseCache {
+    constructor(policies = [], storage = Storage) {
+        this.policies = policies;
+        this.storage = storage;
+        this.entries = new Map();
+    }
+
+    static STRATEGIES = ['network-only', 'cache-first', 'stale-while-revalidate'];
+
+    static MAX_ENTRIES = 100;
+
+    static NETWORK_ONLY = { strategy: 'network-only' };
+
+    static path(url) {
+        return url.split('?')[0];
+    }
+
+    /**
+     * Whether a path falls under a policy or invalidation prefix (a string
+     * matches itself and anything below it; RegExps are tested as is)
+     */
+    static matches(pattern, path) {
+        return pattern instanceof RegExp
+            ? pattern.test(path)
+            : path === pattern || path.startsWith(`${pattern}/`);
+    }
+
+    /**
+     * The policy for a URL, or the one named by the request's cachePolicy
+     */
+    policyFor(url, override = null) {
+        const path = ResponseCache.path(url);
+        const policy = this.policies.find(candidate => ResponseCache.matches(candidate.match, path)) || ResponseCache.NETWORK_ONLY;
+        if (!override) return policy;
+        if (!ResponseCache.STRATEGIES.includes(override)) {
+            throw new Error(`Unknown cache policy: ${override}`);
+        }
+        return { maxAgeMs: 0, staleMs: 0, ...policy, strategy: override };
+    }
+
+    key(url) {
+        return `${this.storage.getSettings().currentUser || 'anonymous'} ${url}`;
+    }
+
+    get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    isFresh(entry, policy, now = Date.now()) {
+        return now - entry.storedAt < (policy.maxAgeMs || 0);
+    }
+
+    isServable(entry, policy, now = Date.now()) {
+        return now - entry.storedAt < (policy.maxAgeMs || 0) + (policy.staleMs || 0);
+    }
+
+    /**
+     * Conditional request headers for an entry
+     */
+    validators(entry) {
+        const headers = {};
+        if (entry?.etag) headers['If-None-Match'] = entry.etag;
+        if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+        return headers;
+    }
+
+    /**
+     * Save a network response (or renew the entry on 304) and return the
+     * response to hand to the caller
+     */
+    store(key, url, response, now = Date.now()) {
+        const existing = this.get(key);
+        if (response.status === 304 && existing) {
+            existing.storedAt = now;
+            return this.toResponse(existing);
+        }
+
+        const header = (name) => response.headers?.get?.(name) || null;
+        this.entries.delete(key);
+        this.entries.set(key, {
+            url,
+            data: structuredClone(response.data),
+            status: response.status,
+            headers: response.headers,
+            etag: header('etag'),
+            lastModified: header('last-modified'),
+            storedAt: now
+        });
+        // Oldest entries go first (Map keeps insertion order)
+        while (this.entries.size > ResponseCache.MAX_ENTRIES) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return response;
+    }
+
+    /**
+     * A response built from an entry; the data is a copy so callers cannot
+     * change the cached value
+     */
+    toResponse(entry, stale = false) {
+        return {
+            data: structuredClone(entry.data),
+            status: entry.status,
+            headers: entry.headers,
+            fromCache: true,
+            stale
+        };
+    }
+
+    /**
+     * Drop the entries a mutation of `url` may have changed. Returns the
+     * number removed.
+     */
+    invalidate(url) {
+        const path = ResponseCache.path(url);
+        const resource = path.split('/')[1];
+        let removed = 0;
+        [...this.entries].forEach(([key, entry]) => {
+            const entryPath = ResponseCache.path(entry.url);
+            const policy = this.policyFor(entryPath);
+            if (entryPath.split('/')[1] === resource ||
+                (policy.invalidatedBy || []).some(pattern => ResponseCache.matches(pattern, path))) {
+                this.entries.delete(key);
+                removed++;
+            }
+        });
+        return removed;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+// Expose globally
+window.ResponseCache = ResponseCache;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResponseCache;
+}
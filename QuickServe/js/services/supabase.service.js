@@ -32,6 +32,11 @@
 
   const client = createClient(cfg.SUPABASE_URL, cfg.SUPABASE_ANON_KEY);
 
+  // Sign-outs and profile edits that happen outside the app's own calls
+  client.auth.onAuthStateChange((event, session) => {
+    if (window.Auth) window.Auth.handleSupabaseAuthChange(event, session);
+  });
+
   // ---- Auth API (email/password baseline) ----
   class SupabaseAuthApi {
     constructor(client) { this.client = client; }
@@ -49,7 +54,9 @@
     }
 
     async register(userData) {
-      const { email, password, role = 'customer', name, phone } = userData;
+      const { email, password, name, phone } = userData;
+      // Admin is granted server-side only; see protect_user_role in schema.sql
+      const role = AuthenticationService.signupRole(userData.role);
       const { data, error } = await this.client.auth.signUp({ email, password, options: { data: { role, name, phone } } });
       if (error) throw new Error(error.message);
 
@@ -85,12 +92,14 @@
     constructor(client) { this.client = client; }
 
     async createBooking(booking) {
+      Auth.assert('booking:create');
       const { data, error } = await this.client.from('bookings').insert(booking).select('*').single();
       if (error) throw new Error(error.message);
       return data;
     }
 
     async getBookings(params = {}) {
+      Auth.assert('booking:read', AccessControl.ANY);
       let query = this.client.from('bookings').select('*').order('created_at', { ascending: false });
       if (params.customerId) query = query.eq('customer_id', params.customerId);
       if (params.providerId) query = query.eq('provider_id', params.providerId);
@@ -99,19 +108,31 @@
       return data;
     }
 
+    // Ownership fields of a booking, from the local cache or the server
+    async findBooking(id) {
+      const cached = Storage.findById('bookings', id);
+      if (cached) return cached;
+      const { data, error } = await this.client.from('bookings').select('id, customer_id, provider_id').eq('id', id).maybeSingle();
+      if (error) throw new Error(error.message);
+      return data && { id: data.id, customerId: data.customer_id, providerId: data.provider_id };
+    }
+
     async getBookingDetails(id) {
+      Auth.assert('booking:read', await this.findBooking(id));
       const { data, error } = await this.client.from('bookings').select('*').eq('id', id).single();
       if (error) throw new Error(error.message);
       return data;
     }
 
     async updateBooking(id, updates) {
+      Auth.assert('booking:update', await this.findBooking(id));
       const { data, error } = await this.client.from('bookings').update(updates).eq('id', id).select('*').single();
       if (error) throw new Error(error.message);
       return data;
     }
 
     async cancelBooking(id) {
+      Auth.assert('booking:cancel', await this.findBooking(id));
       const { data, error } = await this.client.from('bookings').update({ status: 'cancelled' }).eq('id', id).select('*').single();
       if (error) throw new Error(error.message);
       return data;
@@ -135,6 +156,7 @@
     }
 
     async createService(service) {
+      Auth.assert('service:create');
       const { data, error } = await this.client.from('services').insert(service).select('*').single();
       if (error) throw new Error(error.message);
       return data;
@@ -155,6 +177,11 @@
   // Prefer Supabase-backed APIs
   window.AuthApi = supabaseApis.auth;
   window.BookingApi = supabaseApis.bookings;
+
+  // REST calls carry the Supabase access token and refresh through the client
+  if (window.ApiService && window.ApiService.setTokenProvider) {
+    window.ApiService.setTokenProvider(new SupabaseTokenProvider(client));
+  }
   // Payments left to gateway; keep existing PaymentApi or implement table if needed
 
   console.log('Supabase integration enabled');
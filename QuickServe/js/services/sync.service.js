@@ -0,0 +1,532 @@
+/**
+ * QuickServe Sync Engine
+ * Offline-first replication between the local Storage collections and
+ * Supabase tables (see supabase/schema.sql).
+ *
+ * - Local writes to synced collections are captured from Storage change
+ *   subscriptions into the `syncOutbox` collection, one pending entry per
+ *   record, and replayed against Supabase when online.
+ * - Pulls are incremental: rows past the per-table (`updated_at`, `id`)
+ *   cursor kept in the `syncState` collection. The id breaks ties, since
+ *   every row of a bulk write shares the transaction's `now()`.
+ * - Conflicts are last-writer-wins on the client edit time (`updatedAt`
+ *   locally, `client_updated_at` remotely). Ties go to the remote copy so
+ *   every device settles on the same record. Fields that are not mapped to
+ *   a column (e.g. booking codes) never leave the device and are kept.
+ * - Deletes are soft (`deleted_at`) so other devices can pull them.
+ *
+ * Record ids are UUIDs (Storage.generateId) and double as Supabase keys;
+ * records with older non-UUID ids stay local.
+ */
+
+class SyncEngine {
+    constructor(storage, supabase) {
+        this.storage = storage;
+        this.supabase = supabase;
+        this.running = false;
+        this.timer = null;
+        this.unsubscribe = null;
+        // Ids this engine removed while applying remote deletes
+        this.remoteRemovals = new Set();
+        this.inFlight = null;
+    }
+
+    static OUTBOX = 'syncOutbox';
+    static STATE = 'syncState';
+    static PAGE_SIZE = 500;
+    static INTERVAL_MS = 60 * 1000;
+    static MAX_BACKOFF_MS = 5 * 60 * 1000;
+    static UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+    /**
+     * Synced collections in dependency order (referenced tables first).
+     * fields maps local field -> column; `uuid` columns are sent as null
+     * when the local value is not a UUID (e.g. catalog slugs) and
+     * `readOnly` columns are only pulled (the server writes them).
+     */
+    static TABLES = {
+        users: {
+            table: 'users',
+            fields: { email: 'email', phoneNumber: 'phone', fullName: 'name', role: 'role' },
+            // RLS only lets a user write their own profile row
+            canPush: (record, authId) => record.id === authId,
+            extraColumns: (record) => ({ auth_id: record.id })
+        },
+        services: {
+            table: 'services',
+            fields: {
+                category: 'category',
+                title: 'title',
+                description: 'description',
+                price: 'price',
+                duration: 'duration',
+                area: 'area',
+                providerId: { column: 'provider_id', uuid: true },
+                status: 'status',
+                rating: 'rating',
+                available: 'available'
+            },
+            canPush: (record, authId) => record.providerId === authId
+        },
+        bookings: {
+            table: 'bookings',
+            fields: {
+                serviceId: { column: 'service_id', uuid: true },
+                providerId: { column: 'provider_id', uuid: true },
+                customerId: { column: 'customer_id', uuid: true },
+                price: 'price',
+                status: 'status',
+                // Expiry and attempts of the booking codes, kept by the OTP functions
+                otpState: { column: 'otp_state', readOnly: true }
+            },
+            canPush: (record, authId) => record.customerId === authId || record.providerId === authId
+        },
+        sessions: {
+            table: 'user_sessions',
+            fields: {
+                userId: { column: 'user_id', uuid: true },
+                deviceId: 'device_id',
+                platform: 'platform',
+                userAgent: 'user_agent',
+                lastActiveAt: 'last_active_at',
+                expiresAt: 'expires_at',
+                revokedAt: 'revoked_at',
+                endedReason: 'ended_reason'
+            },
+            canPush: (record, authId) => record.userId === authId
+        },
+        providerDocuments: {
+            table: 'provider_documents',
+            fields: {
+                userId: { column: 'user_id', uuid: true },
+                type: 'type',
+                number: 'number',
+                title: 'title',
+                fileName: 'file_name',
+                mimeType: 'mime_type',
+                size: 'size',
+                file: 'file',
+                status: 'status',
+                submittedAt: 'submitted_at',
+                reviewerId: { column: 'reviewer_id', uuid: true },
+                reviewedAt: 'reviewed_at',
+                rejectionReason: 'rejection_reason',
+                history: 'history'
+            },
+            // Providers add their own documents; admins review everyone's
+            canPush: (record, authId, user) => record.userId === authId || user?.role === 'admin'
+        }
+    };
+
+    static isUuid(value) {
+        return typeof value === 'string' && SyncEngine.UUID_PATTERN.test(value);
+    }
+
+    static fieldSpec(spec) {
+        return typeof spec === 'string' ? { column: spec, uuid: false } : spec;
+    }
+
+    get enabled() {
+        return !!(this.supabase && this.supabase.enabled && this.supabase.client);
+    }
+
+    /**
+     * Start capturing local writes and syncing in the background
+     */
+    start() {
+        // Without Supabase there is nothing to replay to; backfill() queues
+        // existing records once it is configured
+        if (this.unsubscribe || !this.enabled) return;
+
+        const handler = (changes) => this.captureChanges(changes);
+        const unsubscribers = Object.keys(SyncEngine.TABLES).map(name => this.storage.subscribe(name, handler));
+        this.unsubscribe = () => unsubscribers.forEach(off => off());
+
+        window.addEventListener('online', () => this.sync());
+        if (typeof document !== 'undefined' && document.addEventListener) {
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible') this.sync();
+            });
+        }
+        this.timer = setInterval(() => this.sync(), SyncEngine.INTERVAL_MS);
+        this.backfill();
+        this.sync();
+    }
+
+    stop() {
+        if (this.unsubscribe) this.unsubscribe();
+        this.unsubscribe = null;
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Turn local change records into outbox entries
+     */
+    captureChanges(changes) {
+        changes.forEach(change => {
+            // Changes made in other tabs were captured by those tabs
+            if (change.origin !== 'local') return;
+
+            if (change.type === 'removed') {
+                if (this.remoteRemovals.delete(`${change.collection}:${change.id}`)) return;
+                this.enqueue(change.collection, change.id, 'delete', !!change.previous?.syncedAt);
+                return;
+            }
+
+            // Records written by pull carry syncedAt === updatedAt
+            if (change.item.syncedAt && change.item.syncedAt === change.item.updatedAt) return;
+            this.enqueue(change.collection, change.id, 'upsert');
+        });
+    }
+
+    /**
+     * Add or replace the pending outbox entry for a record
+     */
+    enqueue(collectionName, recordId, op, wasSynced = false) {
+        if (!SyncEngine.isUuid(recordId)) return;
+
+        const outbox = this.storage.getCollection(SyncEngine.OUTBOX);
+        const existing = outbox.find(entry => entry.collection === collectionName && entry.recordId === recordId);
+        let next = outbox.filter(entry => entry !== existing);
+
+        // A record created and deleted while offline never reaches the server
+        const neverSent = existing && existing.op === 'upsert' && existing.attempts === 0 && existing.id !== this.inFlight;
+        if (!(op === 'delete' && !wasSynced && neverSent)) {
+            next = [...next, {
+                id: this.storage.generateId(),
+                collection: collectionName,
+                recordId,
+                op,
+                queuedAt: new Date().toISOString(),
+                attempts: 0,
+                nextAttemptAt: null,
+                lastError: null,
+                failed: false
+            }];
+        }
+        this.storage.setCollection(SyncEngine.OUTBOX, next);
+    }
+
+    /**
+     * Queue local records that predate the engine (first run per table)
+     */
+    backfill() {
+        Object.keys(SyncEngine.TABLES).forEach(name => {
+            const state = this.storage.findById(SyncEngine.STATE, name);
+            if (state?.backfilled) return;
+
+            this.storage.getCollection(name)
+                .filter(record => !record.syncedAt && SyncEngine.isUuid(record.id))
+                .forEach(record => this.enqueue(name, record.id, 'upsert'));
+            this.saveState(name, { backfilled: true });
+        });
+    }
+
+    saveState(collectionName, updates) {
+        const states = this.storage.getCollection(SyncEngine.STATE);
+        const current = states.find(state => state.id === collectionName);
+        const next = { id: collectionName, cursor: null, cursorId: null, backfilled: false, ...current, ...updates };
+        this.storage.setCollection(SyncEngine.STATE, [...states.filter(state => state !== current), next]);
+        return next;
+    }
+
+    /**
+     * Pull then push. Only one tab syncs at a time when Web Locks exist.
+     * Resolves to { pulled, pushed, failed } or null when skipped.
+     */
+    async sync() {
+        if (!this.enabled || this.running) return null;
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return null;
+
+        this.running = true;
+        try {
+            await this.storage.ready;
+            const run = () => this.runCycle();
+            if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+                return await navigator.locks.request('quickserve-sync', { ifAvailable: true }, lock => lock ? run() : null);
+            }
+            return await run();
+        } catch (error) {
+            console.warn('Sync failed:', error.message || error);
+            return null;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async runCycle() {
+        const { data } = await this.supabase.client.auth.getSession();
+        const authId = data?.session?.user?.id;
+        if (!authId) return null;
+
+        let pulled = 0;
+        for (const name of Object.keys(SyncEngine.TABLES)) {
+            pulled += await this.pull(name);
+        }
+        const { pushed, failed } = await this.push(authId);
+        return { pulled, pushed, failed };
+    }
+
+    /**
+     * Fetch rows changed since the table cursor and apply them
+     */
+    async pull(collectionName) {
+        const { table } = SyncEngine.TABLES[collectionName];
+        let total = 0;
+
+        for (;;) {
+            const state = this.storage.findById(SyncEngine.STATE, collectionName);
+            let query = this.supabase.client.from(table).select('*')
+                .order('updated_at', { ascending: true })
+                .order('id', { ascending: true })
+                .limit(SyncEngine.PAGE_SIZE);
+            if (state?.cursor && state.cursorId) {
+                query = query.or(`updated_at.gt."${state.cursor}",and(updated_at.eq."${state.cursor}",id.gt.${state.cursorId})`);
+            } else if (state?.cursor) {
+                // Cursors saved without an id: re-reading the boundary rows is harmless
+                query = query.gte('updated_at', state.cursor);
+            }
+
+            const { data: rows, error } = await query;
+            if (error) throw new Error(error.message);
+            if (!rows || rows.length === 0) break;
+
+            const last = rows[rows.length - 1];
+            await this.storage.transaction(() => {
+                this.applyRemoteRows(collectionName, rows);
+                this.saveState(collectionName, { cursor: last.updated_at, cursorId: last.id });
+            });
+            total += rows.length;
+            if (rows.length < SyncEngine.PAGE_SIZE) break;
+        }
+        return total;
+    }
+
+    /**
+     * Merge pulled rows into the local collection (last writer wins)
+     */
+    applyRemoteRows(collectionName, rows) {
+        const original = this.storage.getCollection(collectionName);
+        const items = [...original];
+        const positions = new Map(items.map((item, i) => [item.id, i]));
+        const outbox = this.storage.getCollection(SyncEngine.OUTBOX);
+        const settled = new Set();
+
+        rows.forEach(row => {
+            const index = positions.get(row.id);
+            const local = index === undefined ? null : items[index];
+            const remoteTime = row.client_updated_at || row.updated_at;
+            const pending = outbox.find(entry => entry.collection === collectionName && entry.recordId === row.id);
+
+            if (pending) {
+                const localTime = pending.op === 'delete' ? pending.queuedAt : local?.updatedAt;
+                // The local edit is newer; the push will overwrite the server copy
+                if (localTime && localTime > remoteTime) return;
+                settled.add(pending);
+            }
+            // Already applied (typically our own push coming back)
+            if (local && !row.deleted_at && local.syncedAt === remoteTime && local.updatedAt === remoteTime) return;
+
+            if (row.deleted_at) {
+                if (local) {
+                    this.remoteRemovals.add(`${collectionName}:${row.id}`);
+                    items[index] = null;
+                }
+                return;
+            }
+
+            const record = {
+                ...(local || { createdAt: row.created_at }),
+                ...this.fromRow(collectionName, row),
+                id: row.id,
+                updatedAt: remoteTime,
+                syncedAt: remoteTime
+            };
+            if (local) {
+                items[index] = record;
+            } else {
+                positions.set(row.id, items.length);
+                items.push(record);
+            }
+        });
+
+        const next = items.filter(Boolean);
+        if (next.length !== items.length || next.some((item, i) => item !== original[i])) {
+            this.storage.setCollection(collectionName, next);
+        }
+        if (settled.size > 0) {
+            this.storage.setCollection(SyncEngine.OUTBOX, outbox.filter(entry => !settled.has(entry)));
+        }
+    }
+
+    /**
+     * Replay due outbox entries in order
+     */
+    async push(authId) {
+        let pushed = 0;
+        let failed = 0;
+        const now = Date.now();
+        const due = this.storage.getCollection(SyncEngine.OUTBOX)
+            .filter(entry => !entry.failed && (!entry.nextAttemptAt || Date.parse(entry.nextAttemptAt) <= now));
+
+        for (const entry of due) {
+            this.inFlight = entry.id;
+            try {
+                const sent = await this.pushEntry(entry, authId);
+                this.settle(entry, null, sent);
+                if (sent) pushed++;
+            } catch (error) {
+                this.settle(entry, error);
+                failed++;
+                // Offline again: leave the rest for the next cycle
+                if (!error.permanent) break;
+            } finally {
+                this.inFlight = null;
+            }
+        }
+        return { pushed, failed };
+    }
+
+    /**
+     * Send one entry. Resolves to false when there was nothing to send.
+     */
+    async pushEntry(entry, authId) {
+        const config = SyncEngine.TABLES[entry.collection];
+        const table = this.supabase.client.from(config.table);
+        const record = this.storage.findById(entry.collection, entry.recordId);
+
+        if (entry.op === 'delete' || !record) {
+            const { error } = await table
+                .update({ deleted_at: new Date().toISOString(), client_updated_at: entry.queuedAt })
+                .eq('id', entry.recordId)
+                .or(`client_updated_at.is.null,client_updated_at.lt.${entry.queuedAt}`);
+            if (error) throw SyncEngine.toError(error);
+            return true;
+        }
+
+        // Other users' records (e.g. seeded demo data) stay local
+        if (config.canPush && !config.canPush(record, authId, this.storage.getCurrentUser())) {
+            return false;
+        }
+
+        // Last writer wins: never overwrite a newer edit from another device
+        const { data: remote, error: readError } = await table
+            .select('client_updated_at')
+            .eq('id', record.id)
+            .maybeSingle();
+        if (readError) throw SyncEngine.toError(readError);
+        if (remote?.client_updated_at && remote.client_updated_at >= record.updatedAt) return false;
+
+        const { error } = await table.upsert(this.toRow(entry.collection, record), { onConflict: 'id' });
+        if (error) throw SyncEngine.toError(error);
+        return true;
+    }
+
+    /**
+     * Remove a pushed entry, or record the failure and back off
+     */
+    settle(entry, error, sent = false) {
+        const outbox = this.storage.getCollection(SyncEngine.OUTBOX);
+        const current = outbox.find(item => item.id === entry.id);
+        // Replaced by a newer edit while the request was in flight
+        if (!current) return;
+
+        if (!error) {
+            this.storage.setCollection(SyncEngine.OUTBOX, outbox.filter(item => item !== current));
+            const record = this.storage.findById(entry.collection, entry.recordId);
+            if (record && sent && entry.op === 'upsert') {
+                this.markSynced(entry.collection, record);
+            }
+            return;
+        }
+
+        const attempts = current.attempts + 1;
+        const delay = Math.min(SyncEngine.MAX_BACKOFF_MS, 1000 * Math.pow(2, attempts));
+        this.storage.updateInCollection(SyncEngine.OUTBOX, current.id, {
+            attempts,
+            lastError: error.message,
+            failed: !!error.permanent,
+            nextAttemptAt: new Date(Date.now() + delay).toISOString()
+        });
+        console.warn(`Sync of ${entry.collection}/${entry.recordId} failed:`, error.message);
+    }
+
+    /**
+     * Flag a record as matching the server without creating a new edit
+     */
+    markSynced(collectionName, record) {
+        const items = this.storage.getCollection(collectionName);
+        const index = items.indexOf(record);
+        if (index === -1) return;
+        const next = [...items];
+        next[index] = { ...record, syncedAt: record.updatedAt };
+        this.storage.setCollection(collectionName, next);
+    }
+
+    toRow(collectionName, record) {
+        const config = SyncEngine.TABLES[collectionName];
+        const row = {
+            id: record.id,
+            client_updated_at: record.updatedAt || new Date().toISOString(),
+            deleted_at: null
+        };
+        if (record.createdAt) row.created_at = record.createdAt;
+
+        Object.entries(config.fields).forEach(([field, spec]) => {
+            const { column, uuid, readOnly } = SyncEngine.fieldSpec(spec);
+            const value = record[field];
+            if (value === undefined || readOnly) return;
+            row[column] = uuid && !SyncEngine.isUuid(value) ? null : value;
+        });
+        return config.extraColumns ? { ...row, ...config.extraColumns(record) } : row;
+    }
+
+    fromRow(collectionName, row) {
+        const record = {};
+        Object.entries(SyncEngine.TABLES[collectionName].fields).forEach(([field, spec]) => {
+            const { column } = SyncEngine.fieldSpec(spec);
+            if (row[column] !== undefined && row[column] !== null) {
+                record[field] = row[column];
+            }
+        });
+        return record;
+    }
+
+    /**
+     * PostgREST errors with a SQL state are not worth retrying
+     * (constraint, permission or type errors)
+     */
+    static toError(error) {
+        const result = new Error(error.message || 'Sync request failed');
+        result.code = error.code;
+        result.permanent = /^(22|23|42)/.test(error.code || '');
+        return result;
+    }
+
+    /**
+     * Outbox summary for UI and debugging
+     */
+    getStatus() {
+        const outbox = this.storage.getCollection(SyncEngine.OUTBOX);
+        return {
+            enabled: this.enabled,
+            running: this.running,
+            pending: outbox.filter(entry => !entry.failed).length,
+            failed: outbox.filter(entry => entry.failed),
+            cursors: Object.fromEntries(this.storage.getCollection(SyncEngine.STATE).map(state => [state.id, state.cursor]))
+        };
+    }
+}
+
+const Sync = new SyncEngine(Storage, window.Supabase);
+Storage.ready.then(() => Sync.start());
+
+// Expose globally
+window.SyncEngine = SyncEngine;
+window.Sync = Sync;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SyncEngine, Sync };
+}
@@ -0,0 +1,130 @@
+/**
+ * QuickServe Token Providers
+ * Where ApiService gets its bearer token and how it refreshes it:
+ *
+ *   getAccessToken()       -> current access token or null (sync)
+ *   refresh()              -> resolves the new access token, rejects when
+ *                             the session cannot be renewed
+ *   setTokens(access, ref) -> store tokens from a login response
+ *   clear()                -> forget the tokens
+ *
+ * StoredTokenProvider keeps REST API tokens in the encrypted key/value store
+ * and refreshes through POST /auth/refresh. SupabaseTokenProvider reads the
+ * active Supabase session and refreshes through the Supabase client; it is
+ * installed by supabase.service.js when Supabase is configured.
+ */
+
+class StoredTokenProvider {
+    constructor(storage, refreshUrl) {
+        this.storage = storage;
+        // Function so the URL follows ApiService.baseURL
+        this.refreshUrl = refreshUrl;
+        this.accessToken = storage.getItem('authToken');
+        this.refreshToken = storage.getItem('refreshToken');
+        // Tokens are encrypted at rest and readable once storage is ready
+        storage.ready.then(() => {
+            this.accessToken = this.accessToken || storage.getItem('authToken');
+            this.refreshToken = this.refreshToken || storage.getItem('refreshToken');
+        });
+    }
+
+    getAccessToken() {
+        return this.accessToken || null;
+    }
+
+    async refresh() {
+        if (!this.refreshToken) {
+            throw new Error('No refresh token available');
+        }
+
+        const response = await fetch(this.refreshUrl(), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.refreshToken}`
+            }
+        });
+        if (!response.ok) {
+            throw new Error('Token refresh failed');
+        }
+
+        const data = await response.json();
+        this.setTokens(data.accessToken, data.refreshToken);
+        return data.accessToken;
+    }
+
+    setTokens(accessToken, refreshToken) {
+        this.accessToken = accessToken;
+        this.storage.setItem('authToken', accessToken);
+        if (refreshToken) {
+            this.refreshToken = refreshToken;
+            this.storage.setItem('refreshToken', refreshToken);
+        }
+    }
+
+    clear() {
+        this.accessToken = null;
+        this.refreshToken = null;
+        this.storage.removeItem('authToken');
+        this.storage.removeItem('refreshToken');
+    }
+}
+
+/**
+ * Bearer token from the Supabase session. The SDK persists and refreshes
+ * the session itself; this provider caches it and follows SIGNED_IN,
+ * TOKEN_REFRESHED and SIGNED_OUT so getAccessToken() stays synchronous.
+ */
+class SupabaseTokenProvider {
+    constructor(client) {
+        this.client = client;
+        this.session = null;
+        this.ready = client.auth.getSession()
+            .then(({ data }) => {
+                // An auth event may already have delivered a newer session
+                this.session = this.session || data?.session || null;
+            })
+            .catch(error => console.warn('Could not read Supabase session:', error.message));
+        this.subscription = client.auth.onAuthStateChange((event, session) => {
+            this.session = event === 'SIGNED_OUT' ? null : session || this.session;
+        }).data?.subscription;
+    }
+
+    getAccessToken() {
+        return this.session?.access_token || null;
+    }
+
+    async refresh() {
+        const { data, error } = await this.client.auth.refreshSession();
+        if (error || !data?.session) {
+            this.session = null;
+            throw new Error(error?.message || 'Supabase session expired');
+        }
+        this.session = data.session;
+        return data.session.access_token;
+    }
+
+    async setTokens(accessToken, refreshToken) {
+        const { data, error } = await this.client.auth.setSession({ access_token: accessToken, refresh_token: refreshToken });
+        if (error) throw new Error(error.message);
+        this.session = data.session;
+    }
+
+    clear() {
+        // The Supabase session itself is ended by Auth (SessionManager.finish)
+        this.session = null;
+    }
+
+    stop() {
+        this.subscription?.unsubscribe();
+    }
+}
+
+// Expose globally
+window.StoredTokenProvider = StoredTokenProvider;
+window.SupabaseTokenProvider = SupabaseTokenProvider;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StoredTokenProvider, SupabaseTokenProvider };
+}
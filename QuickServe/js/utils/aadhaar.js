@@ -0,0 +1,86 @@
+/**
+ * QuickServe Aadhaar Helpers
+ * Format and Verhoeff checksum validation, and the one masked form used
+ * wherever an Aadhaar number is shown (XXXX-XXXX-1234). Only the last 4
+ * digits are ever stored.
+ */
+
+const Aadhaar = {
+    // Verhoeff dihedral group multiplication, permutation and inverse tables
+    VERHOEFF_D: [
+        [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+        [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+        [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+        [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+        [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+        [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+        [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+        [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+        [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+        [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+    ],
+    VERHOEFF_P: [
+        [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+        [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+        [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+        [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+        [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+        [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+        [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+        [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+    ],
+    VERHOEFF_INV: [0, 4, 3, 2, 1, 5, 6, 7, 8, 9],
+
+    /**
+     * Strip the spaces and dashes people type between digit groups
+     */
+    normalize(value) {
+        return String(value || '').replace(/[\s-]/g, '');
+    },
+
+    /**
+     * Check a digit string whose last digit is its Verhoeff check digit
+     */
+    verhoeffValid(digits) {
+        let check = 0;
+        [...digits].reverse().forEach((digit, i) => {
+            check = this.VERHOEFF_D[check][this.VERHOEFF_P[i % 8][Number(digit)]];
+        });
+        return check === 0;
+    },
+
+    /**
+     * Verhoeff check digit for a digit string
+     */
+    checkDigit(digits) {
+        let check = 0;
+        [...digits].reverse().forEach((digit, i) => {
+            check = this.VERHOEFF_D[check][this.VERHOEFF_P[(i + 1) % 8][Number(digit)]];
+        });
+        return this.VERHOEFF_INV[check];
+    },
+
+    /**
+     * 12 digits, not starting with 0 or 1, with a valid check digit
+     */
+    isValid(value) {
+        const number = this.normalize(value);
+        return Constants.VALIDATION.AADHAAR.test(number) && this.verhoeffValid(number);
+    },
+
+    /**
+     * Masked display form from a full number or its last 4 digits
+     */
+    mask(value) {
+        const last4 = this.normalize(value).slice(-4);
+        return /^\d{4}$/.test(last4) ? `XXXX-XXXX-${last4}` : null;
+    }
+};
+
+// Expose globally
+window.Aadhaar = Aadhaar;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Aadhaar;
+}
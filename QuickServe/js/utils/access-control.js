@@ -0,0 +1,108 @@
+/**
+ * QuickServe Access Control
+ * Central permission matrix for the customer, provider, other (gig worker)
+ * and admin roles. Checked through Auth.can / Auth.guard / Auth.assert by
+ * views and API wrappers; Supabase RLS (supabase/schema.sql) enforces the
+ * same rules server-side.
+ *
+ * Each permission maps a role to either `true` (allowed on any resource)
+ * or a list of resource fields, one of which must hold the user's id
+ * (e.g. a booking's customerId). A missing resource (null, e.g. a booking
+ * that is not cached) fails ownership rules; pass AccessControl.ANY to
+ * check the role only - "may read some bookings", for lists the server
+ * filters. Admins hold every permission; unlisted roles hold none.
+ */
+
+class PermissionError extends Error {
+    constructor(permission, reason, message) {
+        super(message);
+        this.name = 'PermissionError';
+        this.permission = permission;
+        this.reason = reason;
+    }
+}
+
+const AccessControl = {
+    ADMIN_ROLE: 'admin',
+
+    // Resource placeholder for role-only checks
+    ANY: Symbol('any resource'),
+
+    MATRIX: {
+        'booking:create': { customer: true, other: true },
+        'booking:read': { customer: ['customerId'], provider: ['providerId'], other: ['customerId', 'providerId'] },
+        'booking:update': { provider: ['providerId'], other: ['providerId'] },
+        'booking:cancel': { customer: ['customerId'], provider: ['providerId'], other: ['customerId', 'providerId'] },
+        'booking:otp': { customer: ['customerId'], other: ['customerId'] },
+        'service:create': { provider: true },
+        'service:update': { provider: ['providerId'] },
+        'service:delete': { provider: ['providerId'] },
+        'review:create': { customer: ['customerId'], other: ['customerId'] },
+        'payment:process': { customer: ['customerId', 'userId'], other: ['customerId', 'userId'] },
+        'payment:refund': { customer: ['customerId', 'userId'], other: ['customerId', 'userId'] },
+        'profile:update': { customer: ['id', 'userId'], provider: ['id', 'userId'], other: ['id', 'userId'] },
+        'provider:payouts': { provider: ['userId', 'providerId'] },
+        'provider:upgrade': { other: ['id', 'userId'] },
+        'provider:documents': { provider: ['userId'] },
+        'admin:users:read': {},
+        'admin:users:write': {},
+        'admin:providers:verify': {},
+        'admin:bookings:read': {},
+        'admin:analytics:read': {}
+    },
+
+    MESSAGES: {
+        unauthenticated: 'Please login to continue.',
+        inactive: 'Your account is not active.',
+        forbidden: 'You do not have permission to do that.',
+        not_owner: 'You do not have permission to do that.',
+        unknown_resource: 'That record could not be found.',
+        unknown_permission: 'You do not have permission to do that.'
+    },
+
+    /**
+     * Check a permission for a user. Returns { allowed, reason, message }
+     * with reason 'unauthenticated', 'inactive', 'unknown_permission',
+     * 'forbidden', 'unknown_resource' or 'not_owner' when denied.
+     */
+    check(user, permission, resource = null) {
+        const deny = (reason) => ({ allowed: false, reason, message: this.MESSAGES[reason] });
+        if (!user) return deny('unauthenticated');
+        if (user.isActive === false) return deny('inactive');
+
+        const rule = this.MATRIX[permission];
+        if (!rule) {
+            console.warn(`Unknown permission: ${permission}`);
+            return deny('unknown_permission');
+        }
+        if (user.role === this.ADMIN_ROLE) return { allowed: true, reason: null, message: null };
+
+        const grant = rule[user.role];
+        if (!grant) return deny('forbidden');
+        if (grant === true || resource === this.ANY) return { allowed: true, reason: null, message: null };
+        if (!resource) return deny('unknown_resource');
+        return grant.some(field => resource[field] === user.id)
+            ? { allowed: true, reason: null, message: null }
+            : deny('not_owner');
+    },
+
+    can(user, permission, resource = null) {
+        return this.check(user, permission, resource).allowed;
+    },
+
+    /**
+     * Permissions a role holds on at least some resources
+     */
+    permissionsFor(role) {
+        return Object.keys(this.MATRIX).filter(permission => role === this.ADMIN_ROLE || !!this.MATRIX[permission][role]);
+    }
+};
+
+// Expose globally
+window.AccessControl = AccessControl;
+window.PermissionError = PermissionError;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AccessControl, PermissionError };
+}
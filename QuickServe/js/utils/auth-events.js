@@ -0,0 +1,155 @@
+/**
+ * QuickServe Auth Events
+ * Typed event stream for the signed-in user, fed by Auth.watchUser():
+ *
+ *   login                - { user }
+ *   logout               - { user: null, previous, reason }
+ *   session-expired      - { user: null, previous, reason } (idle, expired or revoked)
+ *   user-updated         - { user, previous } after any profile change
+ *   role-changed         - { user, previous, role, previousRole }
+ *   verification-changed - { user, previous, status, previousStatus }
+ *
+ * track() compares the current user with the last one seen and emits
+ * whatever changed, so every login path (local OTP, password, Supabase)
+ * produces the same events. Each event is also dispatched on document as
+ * `auth:<type>` for scripts without a reference to Auth.
+ *
+ * `user` and `previous` are profiles (PROFILE_FIELDS), never the stored
+ * record: that carries password hashes and encrypted fields, and document
+ * events reach every script on the page.
+ */
+
+class AuthEventBus {
+    constructor() {
+        this.listeners = new Map();
+        this.changeListeners = new Set();
+        // Full record of the last user seen, for change detection only
+        this.record = null;
+        this.user = null;
+    }
+
+    static TYPES = ['login', 'logout', 'session-expired', 'user-updated', 'role-changed', 'verification-changed'];
+
+    // session:ended reasons that were not the user's choice
+    static EXPIRED_REASONS = ['idle', 'expired', 'revoked'];
+
+    // Bookkeeping fields that do not count as a profile change
+    static IGNORED_FIELDS = ['updatedAt', 'lastLogin'];
+
+    // User fields that events and change listeners get to see
+    static PROFILE_FIELDS = ['id', 'role', 'verificationStatus', 'fullName'];
+
+    static profile(user) {
+        if (!user) return null;
+        return AuthEventBus.PROFILE_FIELDS.reduce((profile, field) => {
+            profile[field] = user[field] ?? null;
+            return profile;
+        }, {});
+    }
+
+    /**
+     * Listen for one event type, or '*' for all of them. Returns an
+     * unsubscribe function.
+     */
+    on(type, handler) {
+        if (type !== '*' && !AuthEventBus.TYPES.includes(type)) {
+            throw new Error(`Unknown auth event: ${type}`);
+        }
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(handler);
+        return () => this.listeners.get(type)?.delete(handler);
+    }
+
+    /**
+     * Set the current user without emitting (initial load)
+     */
+    seed(user) {
+        this.record = user ? { ...user } : null;
+        this.user = AuthEventBus.profile(user);
+    }
+
+    /**
+     * Called once per change with (user, events), where events lists the
+     * typed events that change produced
+     */
+    onChange(handler) {
+        this.changeListeners.add(handler);
+        return () => this.changeListeners.delete(handler);
+    }
+
+    emit(type, detail) {
+        const event = { type, ...detail };
+        [...(this.listeners.get(type) || []), ...(this.listeners.get('*') || [])].forEach(handler => {
+            try {
+                handler(event);
+            } catch (error) {
+                console.error(`auth ${type} handler failed:`, error);
+            }
+        });
+        if (typeof document !== 'undefined' && document.dispatchEvent) {
+            document.dispatchEvent(new CustomEvent(`auth:${type}`, { detail: event }));
+        }
+        return event;
+    }
+
+    static fingerprint(user) {
+        if (!user) return null;
+        const copy = { ...user };
+        AuthEventBus.IGNORED_FIELDS.forEach(field => { delete copy[field]; });
+        return JSON.stringify(copy);
+    }
+
+    /**
+     * Record the current user and emit the events that lead to it.
+     * reason is the session:ended reason when the user was signed out.
+     */
+    track(user, reason = null) {
+        const previous = this.record;
+        this.record = user ? { ...user } : null;
+        this.user = AuthEventBus.profile(user);
+
+        const events = [];
+        const profiles = { user: this.user, previous: AuthEventBus.profile(previous) };
+        const emit = (type, detail) => events.push(this.emit(type, detail));
+
+        if (previous && (!user || user.id !== previous.id)) {
+            emit(AuthEventBus.EXPIRED_REASONS.includes(reason) ? 'session-expired' : 'logout', { user: null, previous: profiles.previous, reason });
+        }
+        if (user && (!previous || user.id !== previous.id)) {
+            emit('login', { user: profiles.user });
+        } else if (user && AuthEventBus.fingerprint(user) !== AuthEventBus.fingerprint(previous)) {
+            if (user.role !== previous.role) {
+                emit('role-changed', { ...profiles, role: user.role, previousRole: previous.role });
+            }
+            if (user.verificationStatus !== previous.verificationStatus || !!user.aadhaarVerified !== !!previous.aadhaarVerified) {
+                emit('verification-changed', {
+                    ...profiles,
+                    status: user.verificationStatus,
+                    previousStatus: previous.verificationStatus
+                });
+            }
+            emit('user-updated', profiles);
+        }
+
+        if (events.length > 0) {
+            this.changeListeners.forEach(handler => {
+                try {
+                    handler(this.user, events);
+                } catch (error) {
+                    console.error('auth change handler failed:', error);
+                }
+            });
+        }
+        return events;
+    }
+}
+
+// Expose globally
+window.AuthEventBus = AuthEventBus;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuthEventBus;
+}
@@ -0,0 +1,265 @@
+/**
+ * QuickServe Booking OTPs
+ * Dual verification of a booking by codes the customer reads out to the
+ * provider:
+ *
+ *   confirmed --start code--> in_progress --end code--> completed
+ *
+ * Codes are generated on the customer's device as soon as a booking
+ * needs one (issuePending(), run by AuthService whenever the customer's
+ * bookings change): the start code once the booking is confirmed, the
+ * end code once the start is verified. They expire
+ * (BOOKING_OTP.*_EXPIRY_HOURS), lock after BOOKING_OTP.MAX_ATTEMPTS
+ * wrong entries and can be regenerated by the customer. The plaintext
+ * sits in `startOTP` / `endOTP` on the customer's copy of the booking
+ * only (encrypted at rest, never synced).
+ *
+ * With Supabase the customer's device stores a SHA-256 of each code
+ * through the issue_booking_otp() function and the provider's device
+ * checks a code with verify_booking_otp() (supabase/schema.sql); the
+ * server keeps the hash, counts attempts and moves the booking on, so the
+ * provider never holds the code or its hash. Without Supabase the hash is
+ * kept in `otpDigests` and checked here. `otpState` holds expiry and
+ * attempts (synced from the server), and `otpAudit` records every
+ * generation and verification attempt on this device with its actor and
+ * time.
+ */
+
+class BookingOtpManager {
+    constructor(storage, config = Constants.BOOKING_OTP) {
+        this.storage = storage;
+        this.config = config;
+        // Bookings with a code being issued by this tab
+        this.issuing = new Set();
+    }
+
+    static TYPES = ['start', 'end'];
+
+    // Booking status a code is used from, and the status it leads to
+    static FLOW = {
+        start: { from: Constants.BOOKING_STATUS.CONFIRMED, to: Constants.BOOKING_STATUS.IN_PROGRESS },
+        end: { from: Constants.BOOKING_STATUS.IN_PROGRESS, to: Constants.BOOKING_STATUS.COMPLETED }
+    };
+
+    static HOUR_MS = 60 * 60 * 1000;
+
+    get supabase() {
+        const supabase = window.Supabase;
+        return supabase && supabase.enabled && supabase.client ? supabase : null;
+    }
+
+    /**
+     * SHA-256 of a booking's code (hex); verify_booking_otp() hashes the
+     * same string
+     */
+    static async digest(bookingId, type, code) {
+        const bytes = new TextEncoder().encode(`${bookingId}:${type}:${String(code || '').trim()}`);
+        const hash = await crypto.subtle.digest('SHA-256', bytes);
+        return [...new Uint8Array(hash)].map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    generateCode() {
+        const max = 10 ** this.config.LENGTH;
+        const values = new Uint32Array(1);
+        crypto.getRandomValues(values);
+        return String(values[0] % max).padStart(this.config.LENGTH, '0');
+    }
+
+    getState(booking, type) {
+        return { generatedAt: null, expiresAt: null, attempts: 0, verifiedAt: null, ...(booking.otpState?.[type] || {}) };
+    }
+
+    /**
+     * Build the update that records an audit entry on a booking
+     */
+    audit(booking, type, action, actorId, now) {
+        return [...(booking.otpAudit || []), { type, action, actorId: actorId || null, at: new Date(now).toISOString() }];
+    }
+
+    /**
+     * Issue a fresh code for a booking on the customer's device, replacing
+     * any earlier one. Resolves { success, otp, expiresAt, message }.
+     */
+    async issue(bookingId, type, actorId, now = Date.now()) {
+        const booking = this.storage.findById('bookings', bookingId);
+        if (!booking) return { success: false, message: 'Booking not found' };
+        if (!BookingOtpManager.TYPES.includes(type)) return { success: false, message: 'Unknown OTP type' };
+        if (booking.status !== BookingOtpManager.FLOW[type].from) {
+            return { success: false, message: `A ${type} code is not needed for a ${booking.status.replace('_', ' ')} booking` };
+        }
+
+        const previous = this.getState(booking, type);
+        const otp = this.generateCode();
+        const digest = await BookingOtpManager.digest(bookingId, type, otp);
+        let expiresAt = new Date(now + this.config[`${type.toUpperCase()}_EXPIRY_HOURS`] * BookingOtpManager.HOUR_MS).toISOString();
+
+        // The server sets the expiry itself and returns it
+        if (this.supabase) {
+            const { data, error } = await this.supabase.client.rpc('issue_booking_otp', {
+                p_booking_id: bookingId,
+                p_type: type,
+                p_code_hash: digest
+            });
+            if (error) {
+                console.error('Could not issue booking code:', error.message);
+                return { success: false, message: 'Could not create the code. Check your connection and try again.' };
+            }
+            expiresAt = new Date(data).toISOString();
+        }
+
+        this.storage.updateInCollection('bookings', bookingId, {
+            [`${type}OTP`]: otp,
+            otpDigests: this.supabase ? null : { ...(booking.otpDigests || {}), [type]: digest },
+            otpState: {
+                ...(booking.otpState || {}),
+                [type]: { generatedAt: new Date(now).toISOString(), expiresAt, attempts: 0, verifiedAt: null }
+            },
+            otpAudit: this.audit(booking, type, previous.generatedAt ? 'regenerated' : 'generated', actorId, now)
+        });
+        return { success: true, otp, expiresAt, message: 'OTP generated' };
+    }
+
+    /**
+     * Issue the code each of a customer's bookings is waiting for: the
+     * start code once it is confirmed, the end code once the start is
+     * verified. Bookings that already have a code (issued here or on
+     * another of the customer's devices) are left alone; the customer
+     * regenerates those with issue(). Only one tab issues at a time.
+     * Resolves the codes issued as [{ bookingId, type, expiresAt }].
+     */
+    async issuePending(userId) {
+        if (!userId) return [];
+
+        const run = async () => {
+            const issued = [];
+            const waiting = this.storage.filterCollection('bookings', booking => booking.customerId === userId);
+            for (const booking of waiting) {
+                const type = BookingOtpManager.TYPES.find(t => BookingOtpManager.FLOW[t].from === booking.status);
+                if (!type || booking[`${type}OTP`] || this.getState(booking, type).generatedAt || this.issuing.has(booking.id)) {
+                    continue;
+                }
+
+                this.issuing.add(booking.id);
+                try {
+                    const result = await this.issue(booking.id, type, userId);
+                    if (result.success) issued.push({ bookingId: booking.id, type, expiresAt: result.expiresAt });
+                } finally {
+                    this.issuing.delete(booking.id);
+                }
+            }
+            // Let other tabs see the codes before they can take the lock
+            if (issued.length > 0) await this.storage.flush();
+            return issued;
+        };
+
+        if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+            return await navigator.locks.request('quickserve-booking-otp', { ifAvailable: true }, lock => lock ? run() : []);
+        }
+        return run();
+    }
+
+    /**
+     * Check a code and move the booking on. Every attempt is audited.
+     * Resolves { success, message, booking, reason } with reason
+     * 'invalid', 'expired', 'locked' or 'status' on failure.
+     */
+    async verify(bookingId, code, type, actorId, now = Date.now()) {
+        const booking = this.storage.findById('bookings', bookingId);
+        if (!booking) return { success: false, message: 'Booking not found' };
+        if (!BookingOtpManager.TYPES.includes(type)) return { success: false, message: 'Unknown OTP type' };
+
+        const checked = this.supabase
+            ? await this.checkRemote(booking, code, type)
+            : await this.checkLocal(booking, code, type, now);
+        if (checked.error) return { success: false, message: checked.error };
+
+        const { reason, state } = checked;
+        const messages = {
+            status: `This booking is not waiting for a ${type} code`,
+            locked: 'Too many wrong codes. Ask the customer to generate a new one.',
+            expired: Constants.ERRORS.EXPIRED_OTP,
+            invalid: Constants.ERRORS.INVALID_OTP
+        };
+        const otpState = { ...(booking.otpState || {}), [type]: state };
+        if (reason) {
+            const updated = this.storage.updateInCollection('bookings', bookingId, {
+                otpState,
+                otpAudit: this.audit(booking, type, `failed_${reason}`, actorId, now)
+            });
+            return { success: false, reason, message: messages[reason], booking: updated, attemptsLeft: Math.max(0, this.config.MAX_ATTEMPTS - state.attempts) };
+        }
+
+        const updated = this.storage.updateInCollection('bookings', bookingId, {
+            status: BookingOtpManager.FLOW[type].to,
+            [`${type}OTP`]: null,
+            otpDigests: booking.otpDigests ? { ...booking.otpDigests, [type]: null } : null,
+            [`${type}VerifiedAt`]: state.verifiedAt,
+            otpState,
+            otpAudit: this.audit(booking, type, 'verified', actorId, now)
+        });
+        return { success: true, message: `Service ${type} verified successfully`, booking: updated };
+    }
+
+    /**
+     * Check a code against the hash kept on this device. Resolves
+     * { reason, state } with reason null when the code is right.
+     */
+    async checkLocal(booking, code, type, now) {
+        const state = this.getState(booking, type);
+        const expected = booking.otpDigests?.[type];
+
+        if (booking.status !== BookingOtpManager.FLOW[type].from || !expected) {
+            return { reason: 'status', state };
+        }
+        if (state.attempts >= this.config.MAX_ATTEMPTS) return { reason: 'locked', state };
+        // Codes from before expiry was tracked count as expired
+        if (!state.expiresAt || now >= Date.parse(state.expiresAt)) return { reason: 'expired', state };
+
+        const attempts = state.attempts + 1;
+        if (!PasswordHasher.timingSafeEqual(await BookingOtpManager.digest(booking.id, type, code), expected)) {
+            return { reason: attempts >= this.config.MAX_ATTEMPTS ? 'locked' : 'invalid', state: { ...state, attempts } };
+        }
+        return { reason: null, state: { ...state, attempts, verifiedAt: new Date(now).toISOString() } };
+    }
+
+    /**
+     * Check a code with verify_booking_otp(); the server counts the
+     * attempt and updates the booking itself
+     */
+    async checkRemote(booking, code, type) {
+        const { data, error } = await this.supabase.client.rpc('verify_booking_otp', {
+            p_booking_id: booking.id,
+            p_type: type,
+            p_code: String(code || '').trim()
+        });
+        if (error) {
+            console.error('Could not verify booking code:', error.message);
+            return { error: 'Could not check the code. Check your connection and try again.' };
+        }
+        return { reason: data.reason || null, state: { ...this.getState(booking, type), ...(data.state || {}) } };
+    }
+
+    /**
+     * Expiry and attempts for a booking's codes, without the codes
+     */
+    getStatus(booking, now = Date.now()) {
+        return BookingOtpManager.TYPES.reduce((status, type) => {
+            const state = this.getState(booking, type);
+            status[type] = {
+                ...state,
+                active: !!state.generatedAt && !state.verifiedAt && !!state.expiresAt && now < Date.parse(state.expiresAt) &&
+                    state.attempts < this.config.MAX_ATTEMPTS,
+                attemptsLeft: Math.max(0, this.config.MAX_ATTEMPTS - state.attempts)
+            };
+            return status;
+        }, {});
+    }
+}
+
+// Expose globally
+window.BookingOtpManager = BookingOtpManager;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BookingOtpManager;
+}
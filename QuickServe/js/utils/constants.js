@@ -92,12 +92,33 @@ const CONSTANTS = {
         CANCELLATION_FEE_PERCENT: 10
     },
     
+    // Login sessions (see session-manager.js)
+    SESSION: {
+        ABSOLUTE_TIMEOUT_DAYS: 30,
+        IDLE_TIMEOUT_MINUTES: 120,
+        ACTIVITY_WRITE_SECONDS: 60,
+        CHECK_INTERVAL_SECONDS: 30
+    },
+    
     // OTP Configuration
     OTP: {
         LENGTH: 6,
         EXPIRY_MINUTES: 5,
         MAX_ATTEMPTS: 3,
-        RESEND_DELAY_SECONDS: 30
+        RESEND_DELAY_SECONDS: 30,
+        MAX_SENDS_PER_HOUR: 5,
+        LOCKOUT_MINUTES: [15, 60, 24 * 60], // escalates with each lockout
+        LOCKOUT_RESET_HOURS: 24
+    },
+    
+    // Booking start/end codes (see booking-otp.js); the expiry and attempt
+    // limits are repeated in booking_otp_lifetime() and
+    // booking_otp_max_attempts() in supabase/schema.sql
+    BOOKING_OTP: {
+        LENGTH: 4,
+        START_EXPIRY_HOURS: 24,
+        END_EXPIRY_HOURS: 12,
+        MAX_ATTEMPTS: 5
     },
     
     // Search Configuration
@@ -196,6 +217,8 @@ const CONSTANTS = {
         EXPIRED_OTP: 'OTP has expired. Please request a new one.',
         INVALID_PHONE: 'Please enter a valid phone number.',
         INVALID_AADHAAR: 'Please enter a valid Aadhaar number.',
+        INVALID_PAN: 'Please enter a valid PAN (e.g. ABCDE1234F).',
+        INVALID_GST: 'Please enter a valid 15-character GSTIN.',
         SERVICE_UNAVAILABLE: 'Service is currently unavailable in your area.',
         BOOKING_FAILED: 'Failed to create booking. Please try again.',
         PAYMENT_FAILED: 'Payment failed. Please try again.'
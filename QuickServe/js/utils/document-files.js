@@ -0,0 +1,110 @@
+/**
+ * QuickServe Document Files
+ * File contents of provider documents, kept out of the Storage document
+ * (a single value that every flush rewrites and that localStorage caps at
+ * a few MB).
+ *
+ * With Supabase the file goes to the private `provider-documents` bucket
+ * under the provider's id (see supabase/schema.sql), so an admin on any
+ * device can open it. Otherwise it is kept as a Blob in the
+ * `quickserve_files` IndexedDB database of this browser. Without either,
+ * isAvailable() is false and uploads should be refused.
+ *
+ * save() resolves a reference { store: 'supabase' | 'local', path } for
+ * the document record; url() turns it into something an <img> can show.
+ */
+
+class DocumentFileStore {
+    constructor(dbName = DocumentFileStore.DB_NAME) {
+        this.dbName = dbName;
+        this.opening = null;
+    }
+
+    static DB_NAME = 'quickserve_files';
+    static STORE = 'files';
+    static BUCKET = 'provider-documents';
+    static SIGNED_URL_SECONDS = 5 * 60;
+
+    get supabase() {
+        const supabase = window.Supabase;
+        return supabase && supabase.enabled && supabase.client ? supabase : null;
+    }
+
+    isAvailable() {
+        return !!this.supabase || typeof indexedDB !== 'undefined';
+    }
+
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    open() {
+        if (!this.opening) {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(DocumentFileStore.STORE, { keyPath: 'path' });
+            this.opening = DocumentFileStore.request(request).catch(error => {
+                this.opening = null;
+                throw error;
+            });
+        }
+        return this.opening;
+    }
+
+    /**
+     * Store a file at `path` (`<userId>/<name>`)
+     */
+    async save(path, file) {
+        if (this.supabase) {
+            const { error } = await this.supabase.client.storage
+                .from(DocumentFileStore.BUCKET)
+                .upload(path, file, { contentType: file.type || undefined, upsert: false });
+            if (error) throw new Error(error.message);
+            return { store: 'supabase', path };
+        }
+
+        const db = await this.open();
+        const transaction = db.transaction(DocumentFileStore.STORE, 'readwrite');
+        transaction.objectStore(DocumentFileStore.STORE).put({ path, blob: file, savedAt: new Date().toISOString() });
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        return { store: 'local', path };
+    }
+
+    /**
+     * A URL for a stored file: a short-lived signed URL for Supabase, an
+     * object URL for local files (revoke it when done). Null when the file
+     * is not on this device.
+     */
+    async url(ref) {
+        if (!ref) return null;
+        if (ref.store === 'supabase') {
+            if (!this.supabase) return null;
+            const { data, error } = await this.supabase.client.storage
+                .from(DocumentFileStore.BUCKET)
+                .createSignedUrl(ref.path, DocumentFileStore.SIGNED_URL_SECONDS);
+            if (error) throw new Error(error.message);
+            return data.signedUrl;
+        }
+
+        if (typeof indexedDB === 'undefined') return null;
+        const db = await this.open();
+        const entry = await DocumentFileStore.request(
+            db.transaction(DocumentFileStore.STORE).objectStore(DocumentFileStore.STORE).get(ref.path)
+        );
+        return entry ? URL.createObjectURL(entry.blob) : null;
+    }
+}
+
+// Expose globally
+window.DocumentFileStore = DocumentFileStore;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentFileStore;
+}
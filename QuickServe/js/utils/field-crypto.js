@@ -0,0 +1,433 @@
+/**
+ * QuickServe Field Encryption
+ * AES-GCM encryption of individual sensitive fields (tokens, Aadhaar digits,
+ * passwords) before they reach persistent storage.
+ *
+ * Keys are random, non-extractable AES-GCM CryptoKeys kept in their own
+ * IndexedDB database, so page scripts can use them but never read them
+ * out. localStorage only holds the keyring index (key ids and which one is
+ * active), which lets other tabs follow a rotation. Each encrypted value is
+ * stored as an envelope { __enc, kid, iv, data } so values written under
+ * older keys can still be read after a rotation.
+ *
+ * Call init() before use. It also moves keyrings from older versions,
+ * which kept PBKDF2 secrets in localStorage, into IndexedDB.
+ */
+
+class FieldCipher {
+    constructor(keyringStorageKey, dbName = 'quickserve_keys') {
+        this.keyringStorageKey = keyringStorageKey;
+        this.dbName = dbName;
+        this.db = null;
+        this.initializing = null;
+        this.keyring = null;
+        this.keyringRaw = null;
+        this.cryptoKeys = new Map();
+        // Last envelope per record field: slot -> { value, envelope }
+        this.envelopes = new Map();
+        // Fields the last decryptDocument() could not read: { area, id, field }
+        this.unreadable = [];
+    }
+
+    static VERSION = 1;
+    static PBKDF2_ITERATIONS = 100000;
+    static STORE = 'keys';
+
+    /**
+     * Check if WebCrypto (it requires a secure context) and IndexedDB for
+     * the keys are available
+     */
+    static isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle && typeof crypto.getRandomValues === 'function' &&
+            typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Check if a stored value is an encrypted envelope
+     */
+    static isEnvelope(value) {
+        return !!value && typeof value === 'object' && value.__enc === FieldCipher.VERSION;
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    static randomBytes(length) {
+        return crypto.getRandomValues(new Uint8Array(length));
+    }
+
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Open the key database and make sure there is an active key. Safe to
+     * call repeatedly.
+     */
+    init() {
+        if (!this.initializing) {
+            this.initializing = this.openKeys().catch(error => {
+                this.initializing = null;
+                throw error;
+            });
+        }
+        return this.initializing;
+    }
+
+    async openKeys() {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(FieldCipher.STORE, { keyPath: 'kid' });
+        this.db = await FieldCipher.request(request);
+
+        const keyring = this.loadKeyring();
+        await this.migrateLegacySecrets(keyring);
+        if (!keyring.activeKid || !(await this.readKey(keyring.activeKid))) {
+            await this.rotate();
+        }
+        return this;
+    }
+
+    readKey(kid) {
+        const store = this.db.transaction(FieldCipher.STORE).objectStore(FieldCipher.STORE);
+        return FieldCipher.request(store.get(kid)).then(entry => entry?.key || null);
+    }
+
+    writeKey(kid, key) {
+        const transaction = this.db.transaction(FieldCipher.STORE, 'readwrite');
+        transaction.objectStore(FieldCipher.STORE).put({ kid, key });
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Keyrings written before keys moved to IndexedDB carry a PBKDF2 secret
+     * per key: derive each key once, store it and drop the secrets
+     */
+    async migrateLegacySecrets(keyring) {
+        const legacy = Object.entries(keyring.keys).filter(([, entry]) => entry.secret);
+        if (legacy.length === 0) return;
+
+        for (const [kid, entry] of legacy) {
+            const material = await crypto.subtle.importKey('raw', FieldCipher.fromBase64(entry.secret), 'PBKDF2', false, ['deriveKey']);
+            const key = await crypto.subtle.deriveKey(
+                { name: 'PBKDF2', salt: FieldCipher.fromBase64(entry.salt), iterations: FieldCipher.PBKDF2_ITERATIONS, hash: 'SHA-256' },
+                material,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']
+            );
+            await this.writeKey(kid, key);
+            keyring.keys[kid] = { createdAt: entry.createdAt };
+        }
+        this.saveKeyring();
+    }
+
+    /**
+     * Load the keyring index. Re-reads localStorage so a rotation done in
+     * another tab is picked up.
+     */
+    loadKeyring() {
+        const raw = localStorage.getItem(this.keyringStorageKey);
+        if (raw && raw === this.keyringRaw) {
+            return this.keyring;
+        }
+
+        if (raw) {
+            try {
+                this.keyring = JSON.parse(raw);
+                this.keyringRaw = raw;
+                return this.keyring;
+            } catch (error) {
+                console.error('Encryption keyring is corrupt; creating a new one:', error);
+            }
+        }
+
+        this.keyring = { activeKid: null, keys: {} };
+        this.keyringRaw = null;
+        return this.keyring;
+    }
+
+    saveKeyring() {
+        this.keyringRaw = JSON.stringify(this.keyring);
+        localStorage.setItem(this.keyringStorageKey, this.keyringRaw);
+    }
+
+    static createKid() {
+        return 'k_' + Date.now().toString(36) + '_' + FieldCipher.toBase64(FieldCipher.randomBytes(6)).replace(/[^a-z0-9]/gi, '');
+    }
+
+    get activeKid() {
+        return this.loadKeyring().activeKid;
+    }
+
+    /**
+     * The AES-GCM key for a key id, read once from IndexedDB
+     */
+    getCryptoKey(kid) {
+        if (!this.cryptoKeys.has(kid)) {
+            const key = this.init()
+                .then(() => this.readKey(kid))
+                .then(found => {
+                    if (!found) throw new Error(`Unknown encryption key ${kid}`);
+                    return found;
+                });
+            key.catch(() => this.cryptoKeys.delete(kid));
+            this.cryptoKeys.set(kid, key);
+        }
+        return this.cryptoKeys.get(kid);
+    }
+
+    /**
+     * Cache slot of a record field: area, record id (or position) and field
+     */
+    static slot(area, record, index, field) {
+        const id = area === 'keyValue' ? '' : (record.id ?? `#${index}`);
+        return `${area}\u0000${id}\u0000${field}`;
+    }
+
+    /**
+     * Encrypt any JSON value with the active key, remembering the envelope
+     * for the record field it belongs to
+     */
+    async encrypt(value, slot = null) {
+        await this.init();
+        const kid = this.activeKid;
+        const key = await this.getCryptoKey(kid);
+        const iv = FieldCipher.randomBytes(12);
+        const cipherText = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+
+        const envelope = {
+            __enc: FieldCipher.VERSION,
+            kid,
+            iv: FieldCipher.toBase64(iv),
+            data: FieldCipher.toBase64(cipherText)
+        };
+        if (slot) this.envelopes.set(slot, { value, envelope });
+        return envelope;
+    }
+
+    /**
+     * Envelope produced earlier for this field under the active key, if the
+     * field still holds the same value. Lets unchanged values be written
+     * again without async work.
+     */
+    cachedEnvelope(slot, value) {
+        const cached = this.envelopes.get(slot);
+        return cached && cached.value === value && cached.envelope.kid === this.activeKid ? cached.envelope : null;
+    }
+
+    /**
+     * Decrypt an envelope back to its JSON value
+     */
+    async decrypt(envelope, slot = null) {
+        const key = await this.getCryptoKey(envelope.kid);
+        const plain = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: FieldCipher.fromBase64(envelope.iv) },
+            key,
+            FieldCipher.fromBase64(envelope.data)
+        );
+        const value = JSON.parse(new TextDecoder().decode(plain));
+        if (slot && envelope.kid === this.activeKid) {
+            this.envelopes.set(slot, { value, envelope });
+        }
+        return value;
+    }
+
+    /**
+     * Visit every designated field of a document.
+     * spec: { <collection>: [fields], keyValue: [keys] }
+     */
+    static forEachField(doc, spec, visit) {
+        Object.entries(spec).forEach(([area, fields]) => {
+            if (area === 'keyValue') {
+                if (doc.keyValue) visit(doc.keyValue, fields, area, 0);
+                return;
+            }
+            (doc.collections?.[area] || []).forEach((item, index) => visit(item, fields, area, index));
+        });
+    }
+
+    /**
+     * Copy of the document with designated fields encrypted. The working
+     * copy is left untouched. Returns synchronously when every field still
+     * holds the value of its cached envelope, otherwise a Promise.
+     */
+    encryptDocument(doc, spec) {
+        if (!this.db) {
+            return this.init().then(() => this.encryptDocument(doc, spec));
+        }
+
+        const missing = [];
+        FieldCipher.forEachField(doc, spec, (record, fields, area, index) => {
+            fields.forEach(field => {
+                const value = record[field];
+                const slot = FieldCipher.slot(area, record, index, field);
+                if (value !== undefined && value !== null && !FieldCipher.isEnvelope(value) && !this.cachedEnvelope(slot, value)) {
+                    missing.push([slot, value]);
+                }
+            });
+        });
+
+        if (missing.length === 0) {
+            return this.buildEncrypted(doc, spec);
+        }
+        return Promise.all(missing.map(([slot, value]) => this.encrypt(value, slot))).then(() => this.buildEncrypted(doc, spec));
+    }
+
+    buildEncrypted(doc, spec) {
+        const live = new Set();
+        // Fields whose slot was taken by another value (duplicate record ids)
+        const uncached = [];
+        const encryptRecord = (record, fields, area, index) => {
+            let copy = null;
+            fields.forEach(field => {
+                const value = record[field];
+                if (value === undefined || value === null || FieldCipher.isEnvelope(value)) return;
+                const slot = FieldCipher.slot(area, record, index, field);
+                live.add(slot);
+                copy = copy || { ...record };
+                copy[field] = this.cachedEnvelope(slot, value);
+                if (!copy[field]) uncached.push([copy, field, value]);
+            });
+            return copy || record;
+        };
+
+        const result = { ...doc, collections: { ...doc.collections } };
+        Object.entries(spec).forEach(([area, fields]) => {
+            if (area === 'keyValue') {
+                if (doc.keyValue) result.keyValue = encryptRecord(doc.keyValue, fields, area, 0);
+            } else if (Array.isArray(doc.collections?.[area])) {
+                result.collections[area] = doc.collections[area].map((item, index) => encryptRecord(item, fields, area, index));
+            }
+        });
+        // Forget fields of deleted records
+        [...this.envelopes.keys()].forEach(slot => {
+            if (!live.has(slot)) this.envelopes.delete(slot);
+        });
+        if (uncached.length === 0) {
+            return result;
+        }
+        return Promise.all(uncached.map(([copy, field, value]) => this.encrypt(value).then(envelope => {
+            copy[field] = envelope;
+        }))).then(() => result);
+    }
+
+    /**
+     * Decrypt designated fields of a freshly loaded document in place.
+     * Resolves to the set of areas that still need re-encrypting: ones with
+     * plaintext values (written before encryption existed) or values under
+     * a key other than the active one.
+     *
+     * A value that cannot be decrypted keeps its envelope, so the next write
+     * stores it unchanged and a later load can still read it. Collection
+     * records list such fields in `unreadableFields`; all of them are in
+     * `unreadable`.
+     */
+    async decryptDocument(doc, spec) {
+        await this.init();
+        const stale = new Set();
+        const pending = [];
+        const unreadable = [];
+
+        FieldCipher.forEachField(doc, spec, (record, fields, area, index) => {
+            const failed = [];
+            const decrypts = [];
+            fields.forEach(field => {
+                const value = record[field];
+                if (value === undefined || value === null) return;
+
+                if (!FieldCipher.isEnvelope(value)) {
+                    stale.add(area);
+                    return;
+                }
+                if (value.kid !== this.activeKid) {
+                    stale.add(area);
+                }
+                decrypts.push(this.decrypt(value, FieldCipher.slot(area, record, index, field))
+                    .then(plain => { record[field] = plain; })
+                    .catch(error => {
+                        console.error(`Could not decrypt ${area}.${field}:`, error);
+                        failed.push(field);
+                        unreadable.push({ area, id: record.id ?? null, field });
+                    }));
+            });
+            pending.push(Promise.all(decrypts).then(() => {
+                if (area === 'keyValue') return;
+                if (failed.length > 0) {
+                    record.unreadableFields = failed;
+                } else {
+                    delete record.unreadableFields;
+                }
+            }));
+        });
+
+        await Promise.all(pending);
+        this.unreadable = unreadable;
+        return stale;
+    }
+
+    /**
+     * Generate a new non-extractable key and make it active. Old keys stay
+     * available for reading until retireKeys() is called once everything
+     * has been re-encrypted.
+     */
+    async rotate() {
+        const kid = FieldCipher.createKid();
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        await this.writeKey(kid, key);
+        this.cryptoKeys.set(kid, Promise.resolve(key));
+
+        const keyring = this.loadKeyring();
+        keyring.keys[kid] = { createdAt: new Date().toISOString() };
+        keyring.activeKid = kid;
+        this.saveKeyring();
+        return kid;
+    }
+
+    /**
+     * Forget every key except the active one
+     */
+    async retireKeys() {
+        const keyring = this.loadKeyring();
+        const retired = Object.keys(keyring.keys).filter(kid => kid !== keyring.activeKid);
+        if (retired.length > 0) {
+            const transaction = this.db.transaction(FieldCipher.STORE, 'readwrite');
+            retired.forEach(kid => transaction.objectStore(FieldCipher.STORE).delete(kid));
+            await new Promise((resolve, reject) => {
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        }
+        retired.forEach(kid => {
+            delete keyring.keys[kid];
+            this.cryptoKeys.delete(kid);
+        });
+        this.saveKeyring();
+        this.envelopes.forEach((cached, slot) => {
+            if (cached.envelope.kid !== keyring.activeKid) this.envelopes.delete(slot);
+        });
+    }
+}
+
+// Expose globally
+window.FieldCipher = FieldCipher;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FieldCipher;
+}
@@ -0,0 +1,85 @@
+/**
+ * QuickServe Idempotency Keys
+ * Keys for the `Idempotency-Key` header of non-idempotent API requests
+ * (booking creation, payments). A key is tied to a fingerprint of the
+ * request - user, method, URL and body - and persisted in the
+ * `idempotencyKeys` collection, so retries and a resubmission after a
+ * reload send the same key and the server can drop the duplicate.
+ *
+ * Keys are released once the server has answered for certain (success or
+ * a client error); timeouts, network errors and 5xx keep them until
+ * TTL_HOURS have passed.
+ */
+
+class IdempotencyKeyStore {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    static COLLECTION = 'idempotencyKeys';
+    static TTL_HOURS = 24;
+
+    /**
+     * 64-bit FNV-1a hash (hex) of a string
+     */
+    static hash(text) {
+        let h1 = 0x811c9dc5;
+        let h2 = 0x01000193 ^ text.length;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ code, 0x01000193) >>> 0;
+            h2 = Math.imul(h2 ^ code, 0x5bd1e995) >>> 0;
+        }
+        return h1.toString(16).padStart(8, '0') + h2.toString(16).padStart(8, '0');
+    }
+
+    fingerprint(method, url, data) {
+        const userId = this.storage.getSettings().currentUser || 'anonymous';
+        return IdempotencyKeyStore.hash(`${userId} ${method.toUpperCase()} ${url} ${JSON.stringify(data ?? null)}`);
+    }
+
+    /**
+     * The key for a request, reusing a live one for the same request
+     */
+    keyFor(method, url, data, now = Date.now()) {
+        const id = this.fingerprint(method, url, data);
+        const existing = this.storage.findById(IdempotencyKeyStore.COLLECTION, id);
+        if (existing && Date.parse(existing.expiresAt) > now) {
+            return existing.key;
+        }
+
+        // Keyed by fingerprint, so records are written directly like otpThrottle's
+        const key = this.storage.generateId();
+        const items = this.storage.getCollection(IdempotencyKeyStore.COLLECTION)
+            .filter(item => item.id !== id && Date.parse(item.expiresAt) > now);
+        const createdAt = new Date(now).toISOString();
+        this.storage.setCollection(IdempotencyKeyStore.COLLECTION, [...items, {
+            id,
+            key,
+            method: method.toUpperCase(),
+            url,
+            expiresAt: new Date(now + IdempotencyKeyStore.TTL_HOURS * 60 * 60 * 1000).toISOString(),
+            createdAt,
+            updatedAt: createdAt
+        }]);
+        return key;
+    }
+
+    /**
+     * Forget a request's key once its outcome is known
+     */
+    release(method, url, data) {
+        const id = this.fingerprint(method, url, data);
+        if (this.storage.findById(IdempotencyKeyStore.COLLECTION, id)) {
+            this.storage.removeFromCollection(IdempotencyKeyStore.COLLECTION, id);
+        }
+    }
+}
+
+// Expose globally
+window.IdempotencyKeyStore = IdempotencyKeyStore;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IdempotencyKeyStore;
+}
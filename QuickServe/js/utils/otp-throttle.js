@@ -0,0 +1,199 @@
+/**
+ * QuickServe OTP Throttle
+ * Persisted per-phone limits for sending and verifying OTPs:
+ * - a resend cooldown (OTP.RESEND_DELAY_SECONDS)
+ * - an hourly send cap (OTP.MAX_SENDS_PER_HOUR)
+ * - a lockout after OTP.MAX_ATTEMPTS wrong codes (resends do not reset the
+ *   count), escalating through
+ *   OTP.LOCKOUT_MINUTES and reset after OTP.LOCKOUT_RESET_HOURS without one
+ *
+ * State lives in the `otpThrottle` collection keyed by phone number, so it
+ * survives reloads and is shared by every AuthenticationService instance.
+ * The demo OTP is kept there too, as a SHA-256 digest.
+ */
+
+class OtpThrottle {
+    constructor(storage, config = Constants.OTP) {
+        this.storage = storage;
+        this.config = config;
+    }
+
+    static COLLECTION = 'otpThrottle';
+    static HOUR_MS = 60 * 60 * 1000;
+
+    static normalizePhone(phoneNumber) {
+        return String(phoneNumber || '').replace(/[^\d+]/g, '');
+    }
+
+    /**
+     * SHA-256 digest of a phone/code pair (hex)
+     */
+    static async digest(phoneNumber, code) {
+        const bytes = new TextEncoder().encode(`${OtpThrottle.normalizePhone(phoneNumber)}:${code}`);
+        const hash = await crypto.subtle.digest('SHA-256', bytes);
+        return [...new Uint8Array(hash)].map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Stored state for a phone, with stale history dropped
+     */
+    getRecord(phoneNumber, now = Date.now()) {
+        const id = OtpThrottle.normalizePhone(phoneNumber);
+        const record = this.storage.findById(OtpThrottle.COLLECTION, id);
+        const blank = { id, sends: [], failures: 0, lockLevel: 0, lockedUntil: null, lastLockAt: null, code: null };
+        if (!record) return blank;
+
+        const sends = (record.sends || []).filter(time => now - Date.parse(time) < OtpThrottle.HOUR_MS);
+        const lockReset = record.lastLockAt &&
+            now - Date.parse(record.lastLockAt) > this.config.LOCKOUT_RESET_HOURS * OtpThrottle.HOUR_MS;
+        return {
+            ...blank,
+            ...record,
+            sends,
+            lockLevel: lockReset ? 0 : record.lockLevel || 0
+        };
+    }
+
+    saveRecord(record) {
+        const { id, ...updates } = record;
+        if (this.storage.findById(OtpThrottle.COLLECTION, id)) {
+            return this.storage.updateInCollection(OtpThrottle.COLLECTION, id, updates);
+        }
+        const items = this.storage.getCollection(OtpThrottle.COLLECTION);
+        const created = { ...record, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+        this.storage.setCollection(OtpThrottle.COLLECTION, [...items, created]);
+        return created;
+    }
+
+    /**
+     * Current limits for a phone. All waits are in whole seconds; UI can
+     * count `waitSeconds` down on #otpTimer and enable #resendOtpBtn at 0.
+     */
+    getStatus(phoneNumber, now = Date.now()) {
+        const record = this.getRecord(phoneNumber, now);
+        const seconds = (ms) => Math.max(0, Math.ceil(ms / 1000));
+
+        const lockedForSeconds = record.lockedUntil ? seconds(Date.parse(record.lockedUntil) - now) : 0;
+        const lastSend = record.sends.length ? Date.parse(record.sends[record.sends.length - 1]) : null;
+        const resendInSeconds = lastSend ? seconds(lastSend + this.config.RESEND_DELAY_SECONDS * 1000 - now) : 0;
+        const sendsRemaining = Math.max(0, this.config.MAX_SENDS_PER_HOUR - record.sends.length);
+        const capResetsInSeconds = sendsRemaining > 0 ? 0 : seconds(Date.parse(record.sends[0]) + OtpThrottle.HOUR_MS - now);
+        const codeExpiresInSeconds = record.code ? seconds(Date.parse(record.code.expiresAt) - now) : 0;
+
+        const waitSeconds = Math.max(lockedForSeconds, resendInSeconds, capResetsInSeconds);
+        let reason = null;
+        if (lockedForSeconds > 0) reason = 'locked';
+        else if (capResetsInSeconds > 0) reason = 'hourly_limit';
+        else if (resendInSeconds > 0) reason = 'cooldown';
+
+        return {
+            canSend: waitSeconds === 0,
+            canVerify: lockedForSeconds === 0,
+            reason,
+            waitSeconds,
+            resendInSeconds,
+            lockedForSeconds,
+            sendsRemaining,
+            attemptsRemaining: Math.max(0, this.config.MAX_ATTEMPTS - record.failures),
+            codeExpiresInSeconds
+        };
+    }
+
+    /**
+     * Human-readable reason a send or verify is blocked
+     */
+    describe(status) {
+        let wait = `${status.waitSeconds} seconds`;
+        if (status.waitSeconds >= 2 * 3600) wait = `${Math.ceil(status.waitSeconds / 3600)} hours`;
+        else if (status.waitSeconds >= 120) wait = `${Math.ceil(status.waitSeconds / 60)} minutes`;
+        switch (status.reason) {
+            case 'locked': return `Too many incorrect attempts. Try again in ${wait}.`;
+            case 'hourly_limit': return `OTP limit reached. Try again in ${wait}.`;
+            case 'cooldown': return `Please wait ${wait} before requesting another OTP.`;
+            default: return null;
+        }
+    }
+
+    /**
+     * Record a sent OTP. Pass the code for locally generated OTPs so it can
+     * be verified from any AuthenticationService instance.
+     */
+    async recordSend(phoneNumber, code = null, now = Date.now()) {
+        const record = this.getRecord(phoneNumber, now);
+        // Wrong codes keep counting across resends; only a lock or a correct code clears them
+        record.sends = [...record.sends, new Date(now).toISOString()];
+        record.code = code === null ? null : {
+            digest: await OtpThrottle.digest(phoneNumber, code),
+            expiresAt: new Date(now + this.config.EXPIRY_MINUTES * 60 * 1000).toISOString()
+        };
+        this.saveRecord(record);
+        return this.getStatus(phoneNumber, now);
+    }
+
+    /**
+     * Check a locally generated code. Resolves to { success, reason, status }
+     * with reason 'locked', 'expired' or 'invalid' on failure.
+     */
+    async verifyCode(phoneNumber, code, now = Date.now()) {
+        const status = this.getStatus(phoneNumber, now);
+        if (!status.canVerify) return { success: false, reason: 'locked', status };
+
+        const record = this.getRecord(phoneNumber, now);
+        if (!record.code || Date.parse(record.code.expiresAt) <= now) {
+            return { success: false, reason: 'expired', status };
+        }
+
+        const digest = await OtpThrottle.digest(phoneNumber, code);
+        if (PasswordHasher.timingSafeEqual(digest, record.code.digest)) {
+            this.recordSuccess(phoneNumber, now);
+            return { success: true, reason: null, status: this.getStatus(phoneNumber, now) };
+        }
+        return { success: false, reason: 'invalid', status: this.recordFailure(phoneNumber, now) };
+    }
+
+    /**
+     * Count a wrong code; locks the phone once MAX_ATTEMPTS is reached.
+     * Each lockout within LOCKOUT_RESET_HOURS lasts longer than the last.
+     */
+    recordFailure(phoneNumber, now = Date.now()) {
+        const record = this.getRecord(phoneNumber, now);
+        record.failures += 1;
+
+        if (record.failures >= this.config.MAX_ATTEMPTS) {
+            const steps = this.config.LOCKOUT_MINUTES;
+            const minutes = steps[Math.min(record.lockLevel, steps.length - 1)];
+            record.lockedUntil = new Date(now + minutes * 60 * 1000).toISOString();
+            record.lastLockAt = new Date(now).toISOString();
+            record.lockLevel += 1;
+            record.failures = 0;
+            // A locked-out code must not be usable afterwards
+            record.code = null;
+        }
+        this.saveRecord(record);
+        return this.getStatus(phoneNumber, now);
+    }
+
+    /**
+     * Clear failures after a correct code (send history is kept)
+     */
+    recordSuccess(phoneNumber, now = Date.now()) {
+        const record = this.getRecord(phoneNumber, now);
+        this.saveRecord({ ...record, failures: 0, code: null, lockedUntil: null });
+    }
+
+    /**
+     * Phone with the most recent send, for callers that lost track of it
+     */
+    latestPhone() {
+        const latest = this.storage.query(OtpThrottle.COLLECTION).orderBy('updatedAt', 'desc').first();
+        return latest ? latest.id : null;
+    }
+}
+
+// Expose globally
+window.OtpThrottle = OtpThrottle;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OtpThrottle;
+}
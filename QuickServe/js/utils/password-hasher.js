@@ -0,0 +1,96 @@
+/**
+ * QuickServe Password Hashing
+ * Salted PBKDF2-SHA256 password hashes via WebCrypto for local accounts.
+ *
+ * Hashes are self-describing strings so the work factor can be raised
+ * later without breaking existing accounts:
+ *
+ *   pbkdf2-sha256$<iterations>$<salt base64>$<hash base64>
+ */
+
+const PasswordHasher = {
+    ALGORITHM: 'pbkdf2-sha256',
+    ITERATIONS: 310000,
+    SALT_BYTES: 16,
+    HASH_BITS: 256,
+
+    /**
+     * Check if a stored value is a hash produced here
+     */
+    isHash(value) {
+        return typeof value === 'string' && value.startsWith(this.ALGORITHM + '$');
+    },
+
+    /**
+     * Derive raw hash bytes for a password
+     */
+    async derive(password, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(String(password).normalize('NFKC')),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            this.HASH_BITS
+        );
+        return new Uint8Array(bits);
+    },
+
+    /**
+     * Hash a password with a fresh random salt
+     */
+    async hash(password) {
+        const salt = FieldCipher.randomBytes(this.SALT_BYTES);
+        const hash = await this.derive(password, salt, this.ITERATIONS);
+        return [this.ALGORITHM, this.ITERATIONS, FieldCipher.toBase64(salt), FieldCipher.toBase64(hash)].join('$');
+    },
+
+    /**
+     * Verify a password against a stored hash in constant time
+     */
+    async verify(password, stored) {
+        const parts = this.isHash(stored) ? stored.split('$') : null;
+        if (!parts || parts.length !== 4) return false;
+
+        const iterations = parseInt(parts[1], 10);
+        if (!iterations) return false;
+
+        const expected = FieldCipher.fromBase64(parts[3]);
+        const actual = await this.derive(password, FieldCipher.fromBase64(parts[2]), iterations);
+        return this.timingSafeEqual(actual, expected);
+    },
+
+    /**
+     * Compare two byte arrays (or strings) without an early exit
+     */
+    timingSafeEqual(a, b) {
+        const left = typeof a === 'string' ? new TextEncoder().encode(a) : a;
+        const right = typeof b === 'string' ? new TextEncoder().encode(b) : b;
+        const length = Math.max(left.length, right.length);
+        let diff = left.length ^ right.length;
+        for (let i = 0; i < length; i++) {
+            diff |= (left[i] || 0) ^ (right[i] || 0);
+        }
+        return diff === 0;
+    },
+
+    /**
+     * Check if a hash was made with a weaker work factor than today's
+     */
+    needsRehash(stored) {
+        if (!this.isHash(stored)) return true;
+        return parseInt(stored.split('$')[1], 10) < this.ITERATIONS;
+    }
+};
+
+// Expose globally
+window.PasswordHasher = PasswordHasher;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PasswordHasher;
+}
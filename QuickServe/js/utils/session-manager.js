@@ -0,0 +1,282 @@
+/**
+ * QuickServe Session Manager
+ * Login sessions with an absolute lifetime (SESSION.ABSOLUTE_TIMEOUT_DAYS)
+ * and an idle timeout (SESSION.IDLE_TIMEOUT_MINUTES).
+ *
+ * Sessions live in the `sessions` collection and `settings.currentSession`
+ * points at this device's one. The collection is synced (sync.service.js),
+ * so the list covers every device the user is logged in on and a session
+ * revoked elsewhere ends here on the next pull.
+ *
+ * Supabase sessions are signed out locally whenever the local session
+ * ends; revokeOthers() also signs out every other Supabase session. A
+ * single other device's Supabase session cannot be revoked from the
+ * client - that device signs itself out once it sees the revocation.
+ *
+ * New sessions dispatch `session:started` on document with detail
+ * { userId, sessionId }. Ended sessions dispatch a `session:ended` event
+ * with detail { reason, userId }; reason is 'logout', 'revoked',
+ * 'expired', 'idle' or 'replaced'.
+ */
+
+class SessionManager {
+    constructor(storage, config = Constants.SESSION) {
+        this.storage = storage;
+        this.config = config;
+        this.timer = null;
+        this.lastActivity = 0;
+        this.unsubscribe = null;
+        this.onActivity = () => this.recordActivity();
+        this.onVisible = () => {
+            if (document.visibilityState === 'visible') this.enforce();
+        };
+    }
+
+    static COLLECTION = 'sessions';
+    static DEVICE_KEY = 'deviceId';
+    static ACTIVITY_EVENTS = ['click', 'keydown', 'touchstart', 'scroll'];
+
+    get supabase() {
+        const supabase = window.Supabase;
+        return supabase && supabase.enabled && supabase.client ? supabase : null;
+    }
+
+    /**
+     * Stable id for this browser, kept in the key/value store
+     */
+    getDeviceId() {
+        let deviceId = this.storage.getItem(SessionManager.DEVICE_KEY);
+        if (!deviceId) {
+            deviceId = this.storage.generateId();
+            this.storage.setItem(SessionManager.DEVICE_KEY, deviceId);
+        }
+        return deviceId;
+    }
+
+    static describeDevice() {
+        const api = window.ApiService;
+        return {
+            platform: api && api.getPlatform ? api.getPlatform() : 'unknown',
+            userAgent: typeof navigator !== 'undefined' ? String(navigator.userAgent || '').slice(0, 200) : ''
+        };
+    }
+
+    /**
+     * Start a session for a user on this device, ending the previous one
+     */
+    start(userId, now = Date.now()) {
+        const previous = this.getCurrent();
+        if (previous && !previous.revokedAt) {
+            this.close(previous, 'replaced', now);
+        }
+
+        const session = this.storage.addToCollection(SessionManager.COLLECTION, {
+            userId,
+            deviceId: this.getDeviceId(),
+            ...SessionManager.describeDevice(),
+            lastActiveAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.config.ABSOLUTE_TIMEOUT_DAYS * StorageManager.DAY_MS).toISOString(),
+            revokedAt: null,
+            endedReason: null
+        });
+        this.storage.updateSettings({ currentUser: userId, currentSession: session.id });
+        if (typeof document !== 'undefined' && document.dispatchEvent) {
+            document.dispatchEvent(new CustomEvent('session:started', { detail: { userId, sessionId: session.id } }));
+        }
+        return session;
+    }
+
+    getCurrent() {
+        const sessionId = this.storage.getSettings().currentSession;
+        return sessionId ? this.storage.findById(SessionManager.COLLECTION, sessionId) : null;
+    }
+
+    /**
+     * Why a session can no longer be used, or null while it is active
+     */
+    endReason(session, now = Date.now()) {
+        if (!session) return 'missing';
+        if (session.revokedAt) return session.endedReason || 'revoked';
+        if (now >= Date.parse(session.expiresAt)) return 'expired';
+        if (now - Date.parse(session.lastActiveAt) >= this.config.IDLE_TIMEOUT_MINUTES * 60 * 1000) return 'idle';
+        return null;
+    }
+
+    isActive(session, now = Date.now()) {
+        return this.endReason(session, now) === null;
+    }
+
+    /**
+     * State of the current session, without changing anything. Returns
+     * { valid, reason, session }; reason is null when valid or when nobody
+     * is logged in. A login from before sessions existed is valid with a
+     * null session until enforce() adopts it.
+     */
+    status(now = Date.now()) {
+        const { currentUser, currentSession } = this.storage.getSettings();
+        if (!currentUser) return { valid: false, reason: null, session: null };
+        if (!currentSession) return { valid: true, reason: null, session: null };
+
+        const session = this.getCurrent();
+        const reason = this.endReason(session, now);
+        return { valid: !reason, reason, session };
+    }
+
+    /**
+     * Act on status(): log out when the session has ended, and start a
+     * session for a login from before sessions existed. Returns the status.
+     */
+    enforce(now = Date.now()) {
+        const status = this.status(now);
+        const { currentUser } = this.storage.getSettings();
+        if (status.valid && !status.session) {
+            return { ...status, session: this.start(currentUser, now) };
+        }
+        if (status.reason) {
+            this.finish(status.session, status.reason === 'missing' ? 'revoked' : status.reason, now);
+        }
+        return status;
+    }
+
+    /**
+     * Extend the idle timeout. Writes at most every
+     * SESSION.ACTIVITY_WRITE_SECONDS so activity does not flood storage/sync.
+     * Ended sessions are left to enforce().
+     */
+    touch(now = Date.now()) {
+        const { valid, session } = this.status(now);
+        if (!valid || !session) return null;
+        if (now - Date.parse(session.lastActiveAt) < this.config.ACTIVITY_WRITE_SECONDS * 1000) {
+            return session;
+        }
+        return this.storage.updateInCollection(SessionManager.COLLECTION, session.id, {
+            lastActiveAt: new Date(now).toISOString()
+        });
+    }
+
+    recordActivity() {
+        const now = Date.now();
+        if (now - this.lastActivity < 1000) return;
+        this.lastActivity = now;
+        this.touch(now);
+    }
+
+    /**
+     * Mark a session ended without touching this device's login
+     */
+    close(session, reason, now = Date.now()) {
+        return this.storage.updateInCollection(SessionManager.COLLECTION, session.id, {
+            revokedAt: new Date(now).toISOString(),
+            endedReason: reason
+        });
+    }
+
+    /**
+     * End this device's login: close the session, clear the current user
+     * and sign out of Supabase on this device
+     */
+    finish(session, reason, now = Date.now()) {
+        if (session && !session.revokedAt) {
+            this.close(session, reason, now);
+        }
+        const userId = this.storage.getSettings().currentUser || session?.userId || null;
+        this.storage.updateSettings({ currentUser: null, currentSession: null });
+
+        if (this.supabase) {
+            this.supabase.client.auth.signOut({ scope: 'local' }).catch(console.warn);
+        }
+        if (typeof document !== 'undefined' && document.dispatchEvent) {
+            document.dispatchEvent(new CustomEvent('session:ended', { detail: { reason, userId } }));
+        }
+    }
+
+    /**
+     * Log out on this device
+     */
+    end(reason = 'logout', now = Date.now()) {
+        this.finish(this.getCurrent(), reason, now);
+    }
+
+    /**
+     * Sessions of a user (the current user by default), most recently
+     * active first. Each carries `current` and `active` flags.
+     */
+    list({ userId = this.storage.getSettings().currentUser, includeEnded = false } = {}, now = Date.now()) {
+        if (!userId) return [];
+        const currentSession = this.storage.getSettings().currentSession;
+        return this.storage.filterCollection(SessionManager.COLLECTION, session => session.userId === userId)
+            .map(session => ({ ...session, current: session.id === currentSession, active: this.isActive(session, now) }))
+            .filter(session => includeEnded || session.active)
+            .sort((a, b) => (b.lastActiveAt || '').localeCompare(a.lastActiveAt || ''));
+    }
+
+    /**
+     * Revoke one of the current user's sessions. Revoking this device's
+     * session logs out here; other devices log out when they sync.
+     */
+    revoke(sessionId, now = Date.now()) {
+        const session = this.storage.findById(SessionManager.COLLECTION, sessionId);
+        const { currentUser, currentSession } = this.storage.getSettings();
+        if (!session || !currentUser || session.userId !== currentUser) {
+            return { success: false, message: 'Session not found' };
+        }
+
+        if (session.id === currentSession) {
+            this.finish(session, 'revoked', now);
+        } else if (!session.revokedAt) {
+            this.close(session, 'revoked', now);
+        }
+        return { success: true, message: 'Session revoked' };
+    }
+
+    /**
+     * Revoke every session of the current user except this one
+     */
+    async revokeOthers(now = Date.now()) {
+        const { currentSession } = this.storage.getSettings();
+        const others = this.list({}, now).filter(session => session.id !== currentSession);
+        others.forEach(session => this.close(session, 'revoked', now));
+
+        if (this.supabase) {
+            const { error } = await this.supabase.client.auth.signOut({ scope: 'others' });
+            if (error) {
+                console.warn('Supabase sign-out of other sessions failed:', error.message);
+                return { success: false, message: 'Other devices could not be signed out of Supabase', revoked: others.length };
+            }
+        }
+        return { success: true, message: 'Other sessions revoked', revoked: others.length };
+    }
+
+    /**
+     * Watch for activity, timeouts and revocations from other tabs/devices
+     */
+    monitor() {
+        if (this.timer) return;
+        SessionManager.ACTIVITY_EVENTS.forEach(name => window.addEventListener(name, this.onActivity, { passive: true }));
+        if (typeof document !== 'undefined' && document.addEventListener) {
+            document.addEventListener('visibilitychange', this.onVisible);
+        }
+        this.unsubscribe = this.storage.subscribe(SessionManager.COLLECTION, () => this.enforce());
+        this.timer = setInterval(() => this.enforce(), this.config.CHECK_INTERVAL_SECONDS * 1000);
+        this.enforce();
+    }
+
+    stop() {
+        SessionManager.ACTIVITY_EVENTS.forEach(name => window.removeEventListener(name, this.onActivity));
+        if (typeof document !== 'undefined' && document.removeEventListener) {
+            document.removeEventListener('visibilitychange', this.onVisible);
+        }
+        if (this.unsubscribe) this.unsubscribe();
+        this.unsubscribe = null;
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+// Expose globally
+window.SessionManager = SessionManager;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionManager;
+}
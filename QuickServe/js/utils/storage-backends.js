@@ -0,0 +1,339 @@
+/**
+ * QuickServe Storage Backends
+ * Pluggable persistence layer used by StorageManager.
+ *
+ * Every backend stores the whole QuickServe document
+ * ({ version, lastUpdated, collections, settings, cache }) and exposes:
+ *   open()                -> Promise resolved once read() can be served
+ *   read()                -> stored document or null (synchronous)
+ *   reload()              -> Promise of the document as currently persisted
+ *   write(data, changed)  -> true, or a Promise of it; throws (rejects) with
+ *                            the storage error, e.g. QuotaExceededError.
+ *                            `changed` lists the collections that need
+ *                            rewriting (all if omitted)
+ *   clear()               -> removes everything persisted by the backend
+ *
+ * StorageManager keeps the working copy in memory, so read() is only
+ * used when loading.
+ */
+
+/**
+ * localStorage backend - everything lives in a single key
+ */
+class LocalStorageBackend {
+    constructor(storageKey) {
+        this.name = 'localStorage';
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * Check if localStorage can be used in this environment
+     */
+    static isSupported() {
+        try {
+            return typeof localStorage !== 'undefined' && localStorage !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Nothing to connect to; reads are served directly from localStorage
+     */
+    open() {
+        return Promise.resolve(this);
+    }
+
+    /**
+     * Read the stored document
+     */
+    read() {
+        try {
+            const data = localStorage.getItem(this.storageKey);
+            return data ? JSON.parse(data) : null;
+        } catch (error) {
+            console.error('Error reading from localStorage:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Read the stored document again (e.g. after another tab wrote it)
+     */
+    reload() {
+        return Promise.resolve(this.read());
+    }
+
+    /**
+     * Write the whole document; a single key cannot be written partially
+     */
+    write(data) {
+        localStorage.setItem(this.storageKey, JSON.stringify(data));
+        return true;
+    }
+
+    /**
+     * Remove the stored document
+     */
+    clear() {
+        localStorage.removeItem(this.storageKey);
+        return Promise.resolve(true);
+    }
+}
+
+/**
+ * IndexedDB backend - one object store per collection plus a "meta" store
+ * holding version, settings and cache. open() loads the document so read()
+ * can serve it synchronously; writes are queued and persisted one
+ * transaction at a time.
+ */
+class IndexedDBBackend {
+    constructor(dbName, legacyStorageKey) {
+        this.name = 'indexedDB';
+        this.dbName = dbName;
+        this.legacyStorageKey = legacyStorageKey;
+        this.db = null;
+        this.snapshot = null;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    static META_STORE = 'meta';
+    static META_KEY = 'document';
+
+    /**
+     * Check if IndexedDB can be used in this environment
+     */
+    static isSupported() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Open the database, load the stored document and migrate
+     * legacy localStorage data on first load
+     */
+    async open() {
+        this.db = await this.openDatabase();
+
+        const stored = await this.loadDocument();
+        if (stored) {
+            this.snapshot = stored;
+            return this;
+        }
+
+        const legacy = this.readLegacyData();
+        if (legacy) {
+            this.snapshot = legacy;
+            await this.persist(legacy);
+            localStorage.removeItem(this.legacyStorageKey);
+            console.log('Migrated QuickServe data from localStorage to IndexedDB');
+        }
+        return this;
+    }
+
+    /**
+     * Open (or upgrade) the database so an object store exists
+     * for every requested collection
+     */
+    openDatabase(collectionNames = [], version) {
+        return new Promise((resolve, reject) => {
+            const request = version ? indexedDB.open(this.dbName, version) : indexedDB.open(this.dbName);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(IndexedDBBackend.META_STORE)) {
+                    db.createObjectStore(IndexedDBBackend.META_STORE);
+                }
+                collectionNames.forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name);
+                    }
+                });
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let other tabs upgrade the schema when they add collections
+                db.onversionchange = () => {
+                    db.close();
+                    this.db = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+    }
+
+    /**
+     * Make sure an object store exists for each collection, bumping
+     * the database version when new ones are needed
+     */
+    async ensureStores(collectionNames) {
+        if (!this.db) {
+            this.db = await this.openDatabase();
+        }
+
+        const missing = collectionNames.filter(name => !this.db.objectStoreNames.contains(name));
+        if (missing.length === 0 && this.db.objectStoreNames.contains(IndexedDBBackend.META_STORE)) {
+            return this.db;
+        }
+
+        const nextVersion = this.db.version + 1;
+        this.db.close();
+        this.db = await this.openDatabase(collectionNames, nextVersion);
+        return this.db;
+    }
+
+    /**
+     * Assemble the document from the meta store and collection stores
+     */
+    async loadDocument() {
+        if (!this.db.objectStoreNames.contains(IndexedDBBackend.META_STORE)) {
+            return null;
+        }
+
+        const meta = await this.requestToPromise(
+            this.db.transaction(IndexedDBBackend.META_STORE, 'readonly')
+                .objectStore(IndexedDBBackend.META_STORE)
+                .get(IndexedDBBackend.META_KEY)
+        );
+        if (!meta) return null;
+
+        const { collectionNames = [], ...document } = meta;
+        const storeNames = collectionNames.filter(name => this.db.objectStoreNames.contains(name));
+        document.collections = {};
+
+        if (storeNames.length > 0) {
+            const tx = this.db.transaction(storeNames, 'readonly');
+            const results = await Promise.all(
+                storeNames.map(name => this.requestToPromise(tx.objectStore(name).getAll()))
+            );
+            storeNames.forEach((name, i) => {
+                document.collections[name] = results[i];
+            });
+        }
+
+        collectionNames.forEach(name => {
+            document.collections[name] = document.collections[name] || [];
+        });
+
+        return document;
+    }
+
+    /**
+     * Read legacy single-key localStorage data, if any
+     */
+    readLegacyData() {
+        if (!this.legacyStorageKey || !LocalStorageBackend.isSupported()) return null;
+        return new LocalStorageBackend(this.legacyStorageKey).read();
+    }
+
+    /**
+     * Read the document loaded by open() or reload()
+     */
+    read() {
+        return this.snapshot;
+    }
+
+    /**
+     * Load the document again from the database
+     */
+    async reload() {
+        await this.pendingWrite;
+        this.snapshot = await this.loadDocument();
+        return this.snapshot;
+    }
+
+    /**
+     * Queue the document for persisting. Writes run one after another, and
+     * each persists the data as it is when its turn comes, so bursts of
+     * writes coalesce naturally.
+     */
+    write(data, changedCollections) {
+        const result = this.pendingWrite
+            .then(() => this.persist(data, changedCollections))
+            .then(() => true);
+        // A failed write must not hold up the ones queued behind it
+        this.pendingWrite = result.catch(() => false);
+        return result;
+    }
+
+    /**
+     * Resolve once all background writes have been persisted
+     */
+    whenPersisted() {
+        return this.pendingWrite;
+    }
+
+    /**
+     * Persist the document, rewriting only the listed collections
+     */
+    async persist(data, changedCollections) {
+        const collections = data.collections || {};
+        const collectionNames = Object.keys(collections);
+        const db = await this.ensureStores(collectionNames);
+
+        const changed = changedCollections
+            ? changedCollections.filter(name => collectionNames.includes(name))
+            : collectionNames;
+
+        const { collections: _omit, ...meta } = data;
+        const tx = db.transaction([IndexedDBBackend.META_STORE, ...changed], 'readwrite');
+
+        tx.objectStore(IndexedDBBackend.META_STORE).put({ ...meta, collectionNames }, IndexedDBBackend.META_KEY);
+
+        changed.forEach(name => {
+            const store = tx.objectStore(name);
+            store.clear();
+            // Positional keys keep the original collection order
+            collections[name].forEach((item, index) => store.put(item, index));
+        });
+
+        await this.transactionToPromise(tx);
+        return true;
+    }
+
+    /**
+     * Delete the whole database
+     */
+    async clear() {
+        await this.pendingWrite;
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+        this.snapshot = null;
+        await new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(this.dbName);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+        return true;
+    }
+
+    requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    transactionToPromise(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+}
+
+// Expose globally
+window.StorageBackends = { LocalStorageBackend, IndexedDBBackend };
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LocalStorageBackend, IndexedDBBackend };
+}
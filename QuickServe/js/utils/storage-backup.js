@@ -0,0 +1,301 @@
+/**
+ * QuickServe Backup Helpers
+ * Collection schemas, record validation, import diffing and export
+ * redaction used by StorageManager.importData / exportData.
+ */
+
+const StorageBackup = {
+    /**
+     * Field types per collection. Every record needs a string id; other
+     * listed fields are checked only when present. Unlisted fields pass.
+     * Types: 'string', 'number', 'boolean', 'object', 'array', 'date'
+     * (ISO string) or an array of allowed values.
+     */
+    SCHEMAS: {
+        users: {
+            required: ['id'],
+            fields: {
+                phoneNumber: 'string',
+                email: 'string',
+                fullName: 'string',
+                role: ['customer', 'provider', 'other', 'admin'],
+                verificationStatus: ['unverified', 'phone_verified', 'aadhaar_verified', 'fully_verified'],
+                isActive: 'boolean',
+                rating: 'number',
+                createdAt: 'date',
+                updatedAt: 'date'
+            }
+        },
+        providers: {
+            required: ['id', 'userId'],
+            fields: { userId: 'string', services: 'array', serviceRadius: 'number', documents: 'object', updatedAt: 'date' }
+        },
+        customers: {
+            required: ['id', 'userId'],
+            fields: { userId: 'string', updatedAt: 'date' }
+        },
+        otherWorkers: {
+            required: ['id', 'userId'],
+            fields: { userId: 'string', quickJobs: 'array', updatedAt: 'date' }
+        },
+        providerDocuments: {
+            required: ['id', 'userId', 'type'],
+            fields: {
+                userId: 'string',
+                type: ['aadhaar', 'pan', 'gst', 'certification'],
+                status: ['submitted', 'under_review', 'approved', 'rejected'],
+                size: 'number',
+                history: 'array',
+                submittedAt: 'date',
+                updatedAt: 'date'
+            }
+        },
+        bookings: {
+            required: ['id'],
+            fields: {
+                customerId: 'string',
+                providerId: 'string',
+                status: ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'refunded'],
+                price: 'number',
+                createdAt: 'date',
+                updatedAt: 'date'
+            }
+        },
+        reviews: {
+            required: ['id'],
+            fields: { rating: 'number', providerId: 'string', customerId: 'string', updatedAt: 'date' }
+        },
+        services: { required: ['id'], fields: { price: 'number', updatedAt: 'date' } },
+        products: { required: ['id'], fields: { price: 'number', updatedAt: 'date' } },
+        transactions: { required: ['id'], fields: { amount: 'number', userId: 'string', updatedAt: 'date' } },
+        notifications: { required: ['id'], fields: { userId: 'string', read: 'boolean', updatedAt: 'date' } },
+        cart: { required: ['id'], fields: { quantity: 'number', price: 'number', updatedAt: 'date' } }
+    },
+
+    /**
+     * Fields that link a record to a user, for per-user exports.
+     * Collections not listed here hold no per-user data.
+     */
+    OWNER_FIELDS: {
+        users: ['id'],
+        providers: ['userId'],
+        customers: ['userId'],
+        otherWorkers: ['userId'],
+        providerDocuments: ['userId'],
+        bookings: ['customerId', 'providerId'],
+        reviews: ['customerId', 'providerId', 'userId'],
+        transactions: ['userId'],
+        notifications: ['userId']
+    },
+
+    /**
+     * Device-local bookkeeping and login sessions, which never travel in
+     * backups
+     */
+    INTERNAL_COLLECTIONS: ['syncOutbox', 'syncState', 'otpThrottle', 'sessions', 'idempotencyKeys', 'requestOutbox'],
+
+    /**
+     * Credentials, one-time codes and ID numbers and scans never included
+     * in redacted exports, per collection (API tokens live in keyValue,
+     * which only full-secret exports carry)
+     */
+    SECRET_FIELDS: {
+        users: ['password', 'passwordHash', 'aadhaarLast4'],
+        providers: ['password', 'passwordHash', 'aadhaarLast4'],
+        customers: ['password', 'passwordHash', 'aadhaarLast4'],
+        otherWorkers: ['password', 'passwordHash', 'aadhaarLast4'],
+        providerDocuments: ['number', 'fileData'],
+        bookings: ['startOTP', 'endOTP', 'otpDigests']
+    },
+
+    /**
+     * Check a value against a schema type
+     */
+    matchesType(value, type) {
+        if (Array.isArray(type)) return type.includes(value);
+        switch (type) {
+            case 'array': return Array.isArray(value);
+            case 'object': return typeof value === 'object' && !Array.isArray(value);
+            case 'date': return typeof value === 'string' && !isNaN(Date.parse(value));
+            default: return typeof value === type;
+        }
+    },
+
+    /**
+     * Validate one record; returns a list of problems (empty when valid)
+     */
+    validateRecord(collectionName, record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return ['record is not an object'];
+        }
+
+        const schema = this.SCHEMAS[collectionName] || { required: ['id'], fields: {} };
+        const errors = [];
+
+        schema.required.forEach(field => {
+            if (record[field] === undefined || record[field] === null || record[field] === '') {
+                errors.push(`missing ${field}`);
+            }
+        });
+        if (record.id !== undefined && typeof record.id !== 'string') {
+            errors.push('id must be a string');
+        }
+
+        Object.entries(schema.fields).forEach(([field, type]) => {
+            const value = record[field];
+            if (value === undefined || value === null) return;
+            if (!this.matchesType(value, type)) {
+                errors.push(Array.isArray(type)
+                    ? `${field} must be one of ${type.join(', ')}`
+                    : `${field} must be ${type === 'date' ? 'an ISO date' : `a ${type}`}`);
+            }
+        });
+
+        return errors;
+    },
+
+    /**
+     * Validate a backup document. Returns the valid records per collection
+     * plus per-record errors; structural problems are returned in `fatal`.
+     */
+    validateBackup(data) {
+        if (!data || typeof data !== 'object' || !data.version || !data.collections || typeof data.collections !== 'object') {
+            return { fatal: 'Invalid backup file format', collections: {}, errors: [] };
+        }
+
+        const collections = {};
+        const errors = [];
+
+        Object.entries(data.collections).forEach(([name, records]) => {
+            if (this.INTERNAL_COLLECTIONS.includes(name)) return;
+            if (!Array.isArray(records)) {
+                errors.push({ collection: name, index: null, id: null, errors: ['collection is not an array'] });
+                return;
+            }
+
+            const seen = new Set();
+            collections[name] = records.filter((record, index) => {
+                const problems = this.validateRecord(name, record);
+                if (problems.length === 0 && seen.has(record.id)) {
+                    problems.push('duplicate id');
+                }
+                if (problems.length > 0) {
+                    errors.push({ collection: name, index, id: record?.id ?? null, errors: problems });
+                    return false;
+                }
+                seen.add(record.id);
+                return true;
+            });
+        });
+
+        return { fatal: null, collections, errors };
+    },
+
+    /**
+     * Compare current and incoming records by id. With removeMissing, only
+     * records inScope (default: all) that the backup lacks are removed.
+     */
+    diffCollection(collectionName, current, incoming, { removeMissing, inScope = () => true }) {
+        const byId = new Map(current.map(record => [record.id, record]));
+        const incomingIds = new Set();
+        const diff = { added: [], updated: [], unchanged: [], removed: [], skipped: [] };
+
+        incoming.forEach(record => {
+            incomingIds.add(record.id);
+            const existing = byId.get(record.id);
+            if (!existing) {
+                diff.added.push(record.id);
+            } else if (!removeMissing && existing.updatedAt && record.updatedAt && existing.updatedAt > record.updatedAt) {
+                // Merging never overwrites a record that changed locally after the backup
+                diff.skipped.push(record.id);
+            } else if (JSON.stringify(removeMissing
+                ? this.keepSecrets(collectionName, existing, record)
+                : this.mergeRecord(collectionName, existing, record)) !== JSON.stringify(existing)) {
+                diff.updated.push(record.id);
+            } else {
+                diff.unchanged.push(record.id);
+            }
+        });
+
+        if (removeMissing) {
+            current.forEach(record => {
+                if (!incomingIds.has(record.id) && inScope(record)) diff.removed.push(record.id);
+            });
+        }
+        return diff;
+    },
+
+    /**
+     * Keep credentials the incoming record does not carry (redacted, or
+     * encrypted under another device's key) from the existing record
+     */
+    keepSecrets(collectionName, existing, incoming) {
+        let result = incoming;
+        (this.SECRET_FIELDS[collectionName] || []).forEach(field => {
+            if ((incoming[field] === undefined || incoming[field] === null) && existing[field] != null) {
+                result = result === incoming ? { ...incoming } : result;
+                result[field] = existing[field];
+            }
+        });
+        return result;
+    },
+
+    /**
+     * Field-level merge: incoming fields win
+     */
+    mergeRecord(collectionName, existing, incoming) {
+        return this.keepSecrets(collectionName, existing, { ...existing, ...incoming });
+    },
+
+    /**
+     * Apply a diff to a collection, returning the new array. Replacing
+     * keeps incoming records plus local ones outside the backup's scope;
+     * merging keeps all local ones.
+     */
+    applyDiff(collectionName, current, incoming, diff, { removeMissing, inScope = () => true }) {
+        const currentById = new Map(current.map(record => [record.id, record]));
+        if (removeMissing) {
+            const incomingIds = new Set(incoming.map(record => record.id));
+            const kept = current.filter(record => !incomingIds.has(record.id) && !inScope(record));
+            return [...kept, ...incoming.map(record => {
+                const existing = currentById.get(record.id);
+                return existing ? this.keepSecrets(collectionName, existing, record) : record;
+            })];
+        }
+
+        const incomingById = new Map(incoming.map(record => [record.id, record]));
+        const updated = new Set(diff.updated);
+        const merged = current.map(record => {
+            return updated.has(record.id) ? this.mergeRecord(collectionName, record, incomingById.get(record.id)) : record;
+        });
+        diff.added.forEach(id => merged.push(incomingById.get(id)));
+        return merged;
+    },
+
+    /**
+     * Remove the collection's secret fields from a record
+     */
+    redactRecord(collectionName, record) {
+        const fields = this.SECRET_FIELDS[collectionName] || [];
+        if (!fields.some(field => field in record)) return record;
+        const copy = { ...record };
+        fields.forEach(field => { delete copy[field]; });
+        return copy;
+    },
+
+    /**
+     * Check whether a record belongs to a user
+     */
+    isOwnedBy(collectionName, record, userId) {
+        const fields = this.OWNER_FIELDS[collectionName] || [];
+        return fields.some(field => record[field] === userId);
+    }
+};
+
+// Expose globally
+window.StorageBackup = StorageBackup;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageBackup;
+}
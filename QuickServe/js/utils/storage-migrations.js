@@ -0,0 +1,211 @@
+/**
+ * QuickServe Storage Schema Migrations
+ * Ordered upgrade steps for the persisted QuickServe document, keyed by
+ * schema version. StorageManager runs them on load and on import.
+ *
+ * To change a collection shape, register a new migration with the next
+ * version number; never edit a migration that has already shipped.
+ */
+
+class MigrationRegistry {
+    constructor() {
+        this.migrations = [];
+    }
+
+    /**
+     * Register an upgrade step that brings data up to `version`
+     */
+    register(version, description, up) {
+        if (this.migrations.some(m => m.version === version)) {
+            throw new Error(`Migration ${version} is already registered`);
+        }
+        this.migrations.push({ version, description, up });
+        this.migrations.sort((a, b) => MigrationRegistry.compareVersions(a.version, b.version));
+        return this;
+    }
+
+    /**
+     * Latest schema version known to this build
+     */
+    get currentVersion() {
+        const last = this.migrations[this.migrations.length - 1];
+        return last ? last.version : MigrationRegistry.BASE_VERSION;
+    }
+
+    /**
+     * Compare two "major.minor.patch" strings (-1, 0 or 1)
+     */
+    static compareVersions(a, b) {
+        const pa = String(a).split('.').map(n => parseInt(n, 10) || 0);
+        const pb = String(b).split('.').map(n => parseInt(n, 10) || 0);
+        for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+            const diff = (pa[i] || 0) - (pb[i] || 0);
+            if (diff !== 0) return diff > 0 ? 1 : -1;
+        }
+        return 0;
+    }
+
+    /**
+     * Check whether data was written by a newer, unknown schema
+     */
+    isNewerThanCurrent(version) {
+        return MigrationRegistry.compareVersions(version, this.currentVersion) > 0;
+    }
+
+    /**
+     * Migrations that still have to run for data at `version`
+     */
+    pending(version) {
+        return this.migrations.filter(m => MigrationRegistry.compareVersions(m.version, version) > 0);
+    }
+
+    /**
+     * Run pending migrations in order. Mutates and returns the data,
+     * recording each applied step in data.migrations.
+     */
+    run(data) {
+        const fromVersion = data.version || MigrationRegistry.BASE_VERSION;
+
+        if (this.isNewerThanCurrent(fromVersion)) {
+            throw new Error(`Data schema ${fromVersion} is newer than supported schema ${this.currentVersion}`);
+        }
+
+        const applied = [];
+        data.migrations = Array.isArray(data.migrations) ? data.migrations : [];
+
+        for (const migration of this.pending(fromVersion)) {
+            migration.up(data);
+            data.version = migration.version;
+            const record = {
+                version: migration.version,
+                description: migration.description,
+                appliedAt: new Date().toISOString()
+            };
+            data.migrations.push(record);
+            applied.push(record);
+        }
+
+        return { data, applied };
+    }
+}
+
+MigrationRegistry.BASE_VERSION = '1.0.0';
+
+const StorageMigrations = new MigrationRegistry();
+
+/**
+ * 1.1.0 - dual booking OTPs and guaranteed settings/cache keys
+ */
+StorageMigrations.register('1.1.0', 'Add endOTP to bookings and backfill settings defaults', (data) => {
+    data.collections = data.collections || {};
+    ['users', 'providers', 'customers', 'bookings', 'reviews', 'services', 'products',
+        'otherWorkers', 'transactions', 'notifications', 'cart'].forEach(name => {
+        if (!Array.isArray(data.collections[name])) {
+            data.collections[name] = [];
+        }
+    });
+
+    data.collections.bookings = data.collections.bookings.map(booking => ({
+        startOTP: null,
+        endOTP: null,
+        ...booking
+    }));
+
+    data.settings = {
+        currentUser: null,
+        language: 'en',
+        location: null,
+        theme: 'light',
+        ...(data.settings || {})
+    };
+
+    data.cache = {
+        pinCodes: {},
+        searchHistory: [],
+        ...(data.cache || {})
+    };
+});
+
+/**
+ * 1.2.0 - key/value area for API tokens (encrypted at rest)
+ */
+StorageMigrations.register('1.2.0', 'Add keyValue store for API tokens', (data) => {
+    data.keyValue = data.keyValue || {};
+});
+
+/**
+ * 1.3.0 - Supabase sync outbox and pull cursors (see sync.service.js)
+ */
+StorageMigrations.register('1.3.0', 'Add sync outbox and sync state collections', (data) => {
+    data.collections = data.collections || {};
+    ['syncOutbox', 'syncState'].forEach(name => {
+        if (!Array.isArray(data.collections[name])) {
+            data.collections[name] = [];
+        }
+    });
+});
+
+/**
+ * 1.4.0 - persisted per-phone OTP throttling (see otp-throttle.js)
+ */
+StorageMigrations.register('1.4.0', 'Add otpThrottle collection', (data) => {
+    data.collections = data.collections || {};
+    if (!Array.isArray(data.collections.otpThrottle)) {
+        data.collections.otpThrottle = [];
+    }
+});
+
+/**
+ * 1.5.0 - login sessions (see session-manager.js)
+ */
+StorageMigrations.register('1.5.0', 'Add sessions collection and current session setting', (data) => {
+    data.collections = data.collections || {};
+    if (!Array.isArray(data.collections.sessions)) {
+        data.collections.sessions = [];
+    }
+    data.settings = { currentSession: null, ...(data.settings || {}) };
+});
+
+/**
+ * 1.6.0 - provider document uploads (see provider-verification.service.js)
+ */
+StorageMigrations.register('1.6.0', 'Add providerDocuments collection and GST document slot', (data) => {
+    data.collections = data.collections || {};
+    if (!Array.isArray(data.collections.providerDocuments)) {
+        data.collections.providerDocuments = [];
+    }
+    ['users', 'providers'].forEach(name => {
+        data.collections[name] = (data.collections[name] || []).map(record => (
+            record.documents ? { ...record, documents: { gst: null, ...record.documents } } : record
+        ));
+    });
+});
+
+/**
+ * 1.7.0 - Idempotency-Key values of pending API requests (see idempotency-keys.js)
+ */
+StorageMigrations.register('1.7.0', 'Add idempotencyKeys collection', (data) => {
+    data.collections = data.collections || {};
+    if (!Array.isArray(data.collections.idempotencyKeys)) {
+        data.collections.idempotencyKeys = [];
+    }
+});
+
+/**
+ * 1.8.0 - API mutations queued while offline (see request-queue.js)
+ */
+StorageMigrations.register('1.8.0', 'Add requestOutbox collection', (data) => {
+    data.collections = data.collections || {};
+    if (!Array.isArray(data.collections.requestOutbox)) {
+        data.collections.requestOutbox = [];
+    }
+});
+
+// Expose globally
+window.StorageMigrations = StorageMigrations;
+window.MigrationRegistry = MigrationRegistry;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StorageMigrations, MigrationRegistry };
+}
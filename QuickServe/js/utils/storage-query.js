@@ -0,0 +1,212 @@
+/**
+ * QuickServe Collection Query Builder
+ * Chainable queries over StorageManager collections:
+ *
+ *   Storage.query('bookings')
+ *       .where('customerId', userId)
+ *       .where('status', 'in', ['pending', 'confirmed'])
+ *       .orderBy('createdAt', 'desc')
+ *       .limit(20)
+ *       .offset(40)
+ *       .get();
+ *
+ * Equality clauses on indexed fields are answered from the collection's
+ * secondary index instead of scanning every record.
+ */
+
+class CollectionQuery {
+    constructor(storage, collectionName) {
+        this.storage = storage;
+        this.collectionName = collectionName;
+        this.clauses = [];
+        this.predicates = [];
+        this.sorts = [];
+        this.limitCount = null;
+        this.offsetCount = 0;
+    }
+
+    static OPERATORS = {
+        '=': (a, b) => a === b,
+        '!=': (a, b) => a !== b,
+        '>': (a, b) => a > b,
+        '>=': (a, b) => a >= b,
+        '<': (a, b) => a < b,
+        '<=': (a, b) => a <= b,
+        'in': (a, b) => Array.isArray(b) && b.includes(a),
+        'contains': (a, b) => {
+            if (Array.isArray(a)) return a.includes(b);
+            return typeof a === 'string' && a.toLowerCase().includes(String(b).toLowerCase());
+        }
+    };
+
+    /**
+     * Add a field condition: where(field, value) or where(field, op, value)
+     */
+    where(field, operator, value) {
+        if (arguments.length === 2) {
+            value = operator;
+            operator = '=';
+        }
+        if (!CollectionQuery.OPERATORS[operator]) {
+            throw new Error(`Unsupported query operator: ${operator}`);
+        }
+        this.clauses.push({ field, operator, value });
+        return this;
+    }
+
+    /**
+     * Add an arbitrary predicate
+     */
+    filter(predicate) {
+        this.predicates.push(predicate);
+        return this;
+    }
+
+    /**
+     * Sort by a field; call repeatedly for tie-breakers
+     */
+    orderBy(field, direction = 'asc') {
+        this.sorts.push({ field, descending: String(direction).toLowerCase() === 'desc' });
+        return this;
+    }
+
+    /**
+     * Return at most `count` records
+     */
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    /**
+     * Skip the first `count` matching records
+     */
+    offset(count) {
+        this.offsetCount = count;
+        return this;
+    }
+
+    /**
+     * Read a possibly nested field ("address.pinCode")
+     */
+    static getField(item, field) {
+        if (!field.includes('.')) return item?.[field];
+        return field.split('.').reduce((value, key) => value?.[key], item);
+    }
+
+    /**
+     * Narrow the candidates with an index when an equality clause allows it
+     */
+    candidates() {
+        const indexed = this.clauses.find(clause => {
+            return (clause.operator === '=' || clause.operator === 'in') &&
+                this.storage.hasIndex(this.collectionName, clause.field);
+        });
+
+        if (!indexed) {
+            return { items: this.storage.getCollection(this.collectionName), used: null };
+        }
+
+        const values = indexed.operator === 'in' ? indexed.value : [indexed.value];
+        const items = values.flatMap(value => this.storage.lookupIndex(this.collectionName, indexed.field, value));
+        // Index buckets are in insertion order, but "in" merges several buckets
+        if (values.length > 1 && this.sorts.length === 0) {
+            const order = new Map(this.storage.getCollection(this.collectionName).map((item, i) => [item, i]));
+            items.sort((a, b) => order.get(a) - order.get(b));
+        }
+        return { items, used: indexed };
+    }
+
+    /**
+     * All matching records, ignoring limit and offset
+     */
+    matches() {
+        const { items, used } = this.candidates();
+        const clauses = this.clauses.filter(clause => clause !== used);
+
+        const results = items.filter(item => {
+            return clauses.every(({ field, operator, value }) => {
+                return CollectionQuery.OPERATORS[operator](CollectionQuery.getField(item, field), value);
+            }) && this.predicates.every(predicate => predicate(item));
+        });
+
+        if (this.sorts.length > 0) {
+            results.sort((a, b) => this.compare(a, b));
+        }
+        return results;
+    }
+
+    /**
+     * Comparator for the configured sort order (empty values sort last)
+     */
+    compare(a, b) {
+        for (const { field, descending } of this.sorts) {
+            const va = CollectionQuery.getField(a, field);
+            const vb = CollectionQuery.getField(b, field);
+            const aEmpty = va === undefined || va === null;
+            const bEmpty = vb === undefined || vb === null;
+
+            if (aEmpty || bEmpty) {
+                if (aEmpty && bEmpty) continue;
+                return aEmpty ? 1 : -1;
+            }
+            if (va === vb) continue;
+
+            const result = typeof va === 'string' && typeof vb === 'string'
+                ? va.localeCompare(vb)
+                : (va < vb ? -1 : 1);
+            return descending ? -result : result;
+        }
+        return 0;
+    }
+
+    /**
+     * Execute the query
+     */
+    get() {
+        const results = this.matches();
+        const end = this.limitCount === null ? undefined : this.offsetCount + this.limitCount;
+        return results.slice(this.offsetCount, end);
+    }
+
+    /**
+     * First matching record or null
+     */
+    first() {
+        const saved = this.limitCount;
+        this.limitCount = 1;
+        const [item] = this.get();
+        this.limitCount = saved;
+        return item || null;
+    }
+
+    /**
+     * Number of matching records (ignores limit and offset)
+     */
+    count() {
+        return this.matches().length;
+    }
+
+    /**
+     * Page helper returning records plus paging info
+     */
+    paginate(page = 1, pageSize = 20) {
+        const all = this.matches();
+        const start = (page - 1) * pageSize;
+        return {
+            items: all.slice(start, start + pageSize),
+            page,
+            pageSize,
+            total: all.length,
+            totalPages: Math.ceil(all.length / pageSize)
+        };
+    }
+}
+
+// Expose globally
+window.CollectionQuery = CollectionQuery;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CollectionQuery;
+}
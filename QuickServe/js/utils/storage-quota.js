@@ -0,0 +1,167 @@
+/**
+ * QuickServe Storage Quota Monitor
+ * Estimates how much space each part of the stored document takes and
+ * frees space by evicting the least important data first. Bookings, users,
+ * transactions and other records are never evicted - only the tiers listed
+ * in EVICTION_TIERS.
+ */
+
+class QuotaMonitor {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    // localStorage quota in most browsers (5M UTF-16 characters = ~10MB,
+    // but some browsers count bytes, so budget conservatively)
+    static LOCAL_STORAGE_BUDGET = 5 * 1024 * 1024;
+
+    // Evict down to this share of the budget so the next write has headroom
+    static TARGET_RATIO = 0.8;
+
+    /**
+     * Whether a failed write ran out of space (as opposed to, say, an
+     * encryption error or an aborted transaction)
+     */
+    static isQuotaError(error) {
+        return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 || error.code === 1014);
+    }
+
+    /**
+     * Eviction order, least important first. Each tier removes data and
+     * returns the number of bytes it freed.
+     */
+    static EVICTION_TIERS = [
+        { name: 'expired', evict: (storage) => QuotaMonitor.measure(storage, () => storage.applyRetention()) },
+        { name: 'searchHistory', evict: (storage) => QuotaMonitor.evictCacheArea(storage, 'searchHistory') },
+        { name: 'pinCodes', evict: (storage) => QuotaMonitor.evictCacheArea(storage, 'pinCodes') },
+        { name: 'readNotifications', evict: (storage) => QuotaMonitor.evictNotifications(storage, n => n.read) },
+        { name: 'notifications', evict: (storage) => QuotaMonitor.evictNotifications(storage, () => true) }
+    ];
+
+    /**
+     * Approximate stored size of a value (localStorage stores UTF-16)
+     */
+    static sizeOf(value) {
+        if (value === undefined) return 0;
+        return JSON.stringify(value).length * 2;
+    }
+
+    /**
+     * Bytes freed by running `fn` against the document
+     */
+    static measure(storage, fn) {
+        const before = QuotaMonitor.sizeOf(storage.getData());
+        fn();
+        return Math.max(0, before - QuotaMonitor.sizeOf(storage.getData()));
+    }
+
+    static evictCacheArea(storage, area) {
+        const cache = storage.getData()?.cache;
+        if (!cache || !cache[area]) return 0;
+        const freed = QuotaMonitor.sizeOf(cache[area]);
+        if (freed <= QuotaMonitor.sizeOf(Array.isArray(cache[area]) ? [] : {})) return 0;
+        cache[area] = Array.isArray(cache[area]) ? [] : {};
+        storage.markDirty();
+        return freed;
+    }
+
+    static evictNotifications(storage, predicate) {
+        const notifications = storage.getCollection('notifications');
+        const kept = notifications.filter(n => !predicate(n));
+        if (kept.length === notifications.length) return 0;
+        const freed = QuotaMonitor.sizeOf(notifications) - QuotaMonitor.sizeOf(kept);
+        storage.setCollection('notifications', kept);
+        return freed;
+    }
+
+    /**
+     * Estimated usage of the working copy, split by collection and area
+     */
+    usage() {
+        const data = this.storage.getData() || {};
+        const collections = {};
+        Object.entries(data.collections || {}).forEach(([name, items]) => {
+            collections[name] = { count: Array.isArray(items) ? items.length : 0, bytes: QuotaMonitor.sizeOf(items) };
+        });
+
+        const areas = {
+            settings: QuotaMonitor.sizeOf(data.settings),
+            keyValue: QuotaMonitor.sizeOf(data.keyValue),
+            migrations: QuotaMonitor.sizeOf(data.migrations)
+        };
+        Object.entries(data.cache || {}).forEach(([name, value]) => {
+            areas[`cache.${name}`] = QuotaMonitor.sizeOf(value);
+        });
+
+        const total = QuotaMonitor.sizeOf(data);
+        const budget = this.storage.backend instanceof LocalStorageBackend ? QuotaMonitor.LOCAL_STORAGE_BUDGET : null;
+        return {
+            total,
+            budget,
+            ratio: budget ? total / budget : null,
+            collections,
+            areas
+        };
+    }
+
+    /**
+     * Usage plus the browser's origin-wide estimate where available
+     */
+    async report() {
+        const report = this.usage();
+        if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+            try {
+                const { usage, quota } = await navigator.storage.estimate();
+                report.origin = { usage, quota };
+                if (!report.budget && quota) {
+                    report.budget = quota;
+                    report.ratio = usage / quota;
+                }
+            } catch (error) {
+                console.warn('Storage estimate unavailable:', error);
+            }
+        }
+        return report;
+    }
+
+    /**
+     * Evict tiers in order until `bytesNeeded` are freed (or everything
+     * evictable is gone). Returns { freed, tiers } naming the tiers used.
+     */
+    evict(bytesNeeded = Infinity) {
+        let freed = 0;
+        const tiers = [];
+        for (const tier of QuotaMonitor.EVICTION_TIERS) {
+            if (freed >= bytesNeeded) break;
+            const tierFreed = tier.evict(this.storage);
+            if (tierFreed > 0) {
+                freed += tierFreed;
+                tiers.push(tier.name);
+            }
+        }
+        if (tiers.length > 0) {
+            console.warn(`Storage evicted ${tiers.join(', ')} (${freed} bytes)`);
+        }
+        return { freed, tiers };
+    }
+
+    /**
+     * Evict down to TARGET_RATIO when the store is over budget
+     */
+    enforceBudget() {
+        const { total, budget } = this.usage();
+        if (!budget || total <= budget * QuotaMonitor.TARGET_RATIO) {
+            return { freed: 0, tiers: [] };
+        }
+        return this.evict(total - budget * QuotaMonitor.TARGET_RATIO);
+    }
+}
+
+// Expose globally
+window.QuotaMonitor = QuotaMonitor;
+
+// Export for CommonJS environments (tests, tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuotaMonitor;
+}
@@ -1,21 +1,420 @@
 /**
- * QuickServe LocalStorage Data Management Layer
- * Implements secure JSON-based storage with collections for all entities
+ * QuickServe Data Management Layer
+ * Implements secure JSON-based storage with collections for all entities.
+ * Data is persisted through a pluggable backend (IndexedDB when available,
+ * localStorage otherwise) - see storage-backends.js.
+ *
+ * Reads are served from an in-memory working copy. Writes mark the touched
+ * collections dirty and are flushed to the backend in one batch at the end
+ * of the current task (or after FLUSH_DELAY_MS when set). Records returned
+ * by the read methods are live - change them through the update methods.
+ * With the IndexedDB backend nothing is loaded until Storage.ready
+ * resolves; writes before that throw rather than being dropped.
+ *
+ * Storage.subscribe(collection, handler) delivers added/updated/removed
+ * change records for local writes and for writes made in other tabs.
+ *
+ * Fields listed in SENSITIVE_FIELDS are encrypted with AES-GCM on their way
+ * to the backend and decrypted on load (see field-crypto.js); the working
+ * copy holds plaintext. Values that cannot be decrypted keep their envelope.
+ * While the keys cannot be opened nothing is written, so sensitive fields
+ * never reach the backend in plaintext; getEncryptionStatus() and the
+ * 'storage:encryption' event report this, and browsers without WebCrypto.
+ *
+ * RETENTION_POLICIES and CACHE_POLICIES bound how long ephemeral data is
+ * kept. When a write fails because the store is full, the QuotaMonitor
+ * (storage-quota.js) evicts the least important data and the write is
+ * retried; if it still fails a 'storage:full' event is dispatched and the
+ * unsaved collections stay dirty for the next flush.
  */
 
 class StorageManager {
+    static DAY_MS = 24 * 60 * 60 * 1000;
+
     constructor() {
         this.STORAGE_KEY = 'quickserve_data';
-        this.initializeStorage();
+        this.DB_NAME = 'quickserve';
+        this.CHANNEL_NAME = 'quickserve_storage';
+        this.KEYRING_KEY = 'quickserve_keyring';
+        this.SENSITIVE_FIELDS = {
+            users: ['password', 'passwordHash', 'aadhaarLast4'],
+            providers: ['password', 'passwordHash', 'aadhaarLast4'],
+            customers: ['password', 'passwordHash', 'aadhaarLast4'],
+            otherWorkers: ['password', 'passwordHash', 'aadhaarLast4'],
+            providerDocuments: ['number', 'fileData'],
+            bookings: ['startOTP', 'endOTP', 'otpDigests'],
+            requestOutbox: ['data'],
+            keyValue: ['authToken', 'refreshToken']
+        };
+        this.cipher = FieldCipher.isSupported() && LocalStorageBackend.isSupported()
+            ? new FieldCipher(this.KEYRING_KEY)
+            : null;
+        // Why the keys could not be opened; writes wait until they can
+        this.encryptionError = null;
+        this.FLUSH_DELAY_MS = 0;
+        // Age limits apply to createdAt; the oldest records go first
+        this.RETENTION_POLICIES = {
+            notifications: { maxAgeDays: 30, maxCount: 200 },
+            sessions: { maxAgeDays: 90, maxCount: 50 },
+            idempotencyKeys: { maxAgeDays: 1, maxCount: 100 }
+        };
+        this.CACHE_POLICIES = {
+            pinCodes: { ttlDays: 7, maxCount: 500 },
+            searchHistory: { maxAgeDays: 90, maxCount: 20 }
+        };
+        // Collections whose unsaved writes are reported when the store is full
+        this.CRITICAL_COLLECTIONS = ['bookings', 'transactions', 'users', 'providers', 'customers', 'otherWorkers', 'providerDocuments', 'syncOutbox', 'requestOutbox'];
+        this.quota = new QuotaMonitor(this);
+        this.data = null;
+        this.dirtyCollections = new Set();
+        this.metaDirty = false;
+        this.flushScheduled = false;
+        this.flushTimer = null;
+        this.flushesInFlight = 0;
+        this.lastFlush = Promise.resolve(true);
+        this.indexDefinitions = {
+            users: ['id', 'phoneNumber', 'email'],
+            providers: ['id', 'userId', 'status'],
+            customers: ['id', 'userId'],
+            otherWorkers: ['id', 'userId'],
+            bookings: ['id', 'customerId', 'providerId', 'status'],
+            reviews: ['providerId', 'customerId'],
+            notifications: ['userId'],
+            transactions: ['userId', 'bookingId']
+        };
+        this.indexes = new Map();
+        this.subscribers = new Map();
+        this.shadows = new Map();
+        this.pendingChanges = [];
+        this.deliveryScheduled = false;
+        this.transactionDepth = 0;
+        this.backend = this.createBackend();
+        this.ready = this.connect();
+        this.listenForExternalChanges();
+    }
+
+    /**
+     * Pick the best available backend
+     */
+    createBackend() {
+        if (IndexedDBBackend.isSupported()) {
+            return new IndexedDBBackend(this.DB_NAME, this.STORAGE_KEY);
+        }
+        return new LocalStorageBackend(this.STORAGE_KEY);
+    }
+
+    /**
+     * Open the backend and initialize the schema. Resolves once the
+     * collections can be read and decrypted; callers should await
+     * Storage.ready on startup.
+     */
+    connect() {
+        // localStorage is synchronous, so keep the store usable immediately
+        // (encrypted fields become readable once ready resolves)
+        if (this.backend instanceof LocalStorageBackend) {
+            this.data = this.backend.read();
+            this.initializeStorage();
+            return this.decryptLoadedData(this.data).then(() => this);
+        }
+
+        return this.backend.open()
+            .catch(error => {
+                console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+                this.backend = new LocalStorageBackend(this.STORAGE_KEY);
+                return this.backend.open();
+            })
+            .then(() => {
+                this.data = this.backend.read();
+                this.initializeStorage();
+                return this.decryptLoadedData(this.data);
+            })
+            .then(() => {
+                // Subscribers registered before hydration receive the loaded records
+                this.watchedCollections().forEach(name => this.recordChanges(name, 'remote', true));
+                return this;
+            });
+    }
+
+    /**
+     * Decrypt sensitive fields of a loaded document in place. Returns the
+     * areas holding plaintext or old-key values, which need rewriting.
+     */
+    async decryptLoadedData(doc) {
+        if (!this.cipher || !doc) return [];
+
+        try {
+            await this.cipher.init();
+        } catch (error) {
+            // Without the key store, sensitive fields stay encrypted as loaded
+            console.error('Encryption keys are unavailable; changes are not saved until they are:', error);
+            this.encryptionError = error;
+            this.reportEncryption();
+            return [];
+        }
+        const recovered = !!this.encryptionError;
+        this.encryptionError = null;
+        const stale = [...await this.cipher.decryptDocument(doc, this.SENSITIVE_FIELDS)];
+        if (doc === this.data) {
+            this.markSensitiveDirty(stale);
+        }
+        if (recovered || this.cipher.unreadable.length > 0) {
+            this.reportEncryption();
+        }
+        return stale;
+    }
+
+    /**
+     * Whether sensitive fields are encrypted at rest. `error` is set while
+     * the keys cannot be opened (nothing is saved then); `unreadable` lists
+     * the fields the last load could not decrypt.
+     */
+    getEncryptionStatus() {
+        return {
+            supported: !!this.cipher,
+            error: this.encryptionError?.message || null,
+            unreadable: this.cipher ? [...this.cipher.unreadable] : []
+        };
+    }
+
+    reportEncryption() {
+        if (typeof document !== 'undefined' && document.dispatchEvent) {
+            document.dispatchEvent(new CustomEvent('storage:encryption', { detail: this.getEncryptionStatus() }));
+        }
+    }
+
+    /**
+     * Mark sensitive areas for rewriting (and so re-encryption)
+     */
+    markSensitiveDirty(areas = Object.keys(this.SENSITIVE_FIELDS)) {
+        areas.forEach(area => {
+            if (area === 'keyValue') {
+                this.markDirty();
+            } else if (this.data?.collections?.[area]) {
+                this.markDirty(area);
+            }
+        });
+    }
+
+    /**
+     * Switch to a fresh encryption key and re-encrypt every sensitive field.
+     * Old keys are forgotten once the rewrite has been persisted.
+     */
+    async rotateEncryptionKey() {
+        if (!this.cipher) {
+            throw new Error('Encryption is not available in this browser');
+        }
+        await this.ready;
+
+        await this.cipher.rotate();
+        this.markSensitiveDirty();
+        const persisted = await this.flush();
+        if (!persisted) {
+            throw new Error('Could not re-encrypt data with the new key');
+        }
+        await this.cipher.retireKeys();
+        return true;
+    }
+
+    /**
+     * Keep the working copy in sync with other tabs and flush before the
+     * page goes away
+     */
+    listenForExternalChanges() {
+        if (typeof window === 'undefined' || !window.addEventListener) return;
+
+        // localStorage writes from other tabs arrive as "storage" events
+        window.addEventListener('storage', (event) => {
+            if (event.key === this.STORAGE_KEY && this.backend instanceof LocalStorageBackend) {
+                this.reloadFromBackend();
+            }
+        });
+
+        // IndexedDB has no change events, so tabs announce their flushes
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+            this.channel.onmessage = (event) => {
+                if (event.data?.type === 'flushed' && !(this.backend instanceof LocalStorageBackend)) {
+                    this.reloadFromBackend(event.data.collections);
+                }
+            };
+        }
+
+        window.addEventListener('beforeunload', () => this.flush());
+        if (typeof document !== 'undefined' && document.addEventListener) {
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flush();
+            });
+        }
+    }
+
+    /**
+     * Replace the working copy with what another tab persisted, keeping
+     * local changes that have not been flushed yet, and notify subscribers
+     * of what changed
+     */
+    async reloadFromBackend(changedCollections = null) {
+        const remote = await this.backend.reload();
+        if (!remote || !this.data) return;
+        await this.decryptLoadedData(remote);
+
+        if (remote.collections) {
+            this.dirtyCollections.forEach(name => {
+                if (this.data.collections?.[name]) {
+                    remote.collections[name] = this.data.collections[name];
+                }
+            });
+        }
+        if (this.metaDirty) {
+            remote.settings = this.data.settings;
+            remote.cache = this.data.cache;
+        }
+        this.data = remote;
+        this.indexes.clear();
+
+        this.watchedCollections()
+            .filter(name => !changedCollections || changedCollections.includes(name))
+            .forEach(name => this.recordChanges(name, 'remote', true));
+    }
+
+    /**
+     * Subscribe to changes in a collection ('*' for every collection).
+     * The handler receives an array of change records:
+     *   { type: 'added' | 'updated' | 'removed', collection, id, item,
+     *     previous, origin: 'local' | 'remote' }
+     * Returns an unsubscribe function.
+     */
+    subscribe(collectionName, handler) {
+        if (!this.subscribers.has(collectionName)) {
+            this.subscribers.set(collectionName, new Set());
+        }
+        this.subscribers.get(collectionName).add(handler);
+
+        const names = collectionName === '*' ? Object.keys(this.data?.collections || {}) : [collectionName];
+        names.forEach(name => {
+            if (!this.shadows.has(name)) {
+                this.shadows.set(name, this.snapshotCollection(name));
+            }
+        });
+
+        return () => this.subscribers.get(collectionName)?.delete(handler);
+    }
+
+    /**
+     * Collections that currently have subscribers
+     */
+    watchedCollections() {
+        if (this.subscribers.get('*')?.size > 0) {
+            return Object.keys(this.data?.collections || {});
+        }
+        return [...this.subscribers.keys()].filter(name => this.subscribers.get(name).size > 0);
     }
 
     /**
-     * Initialize storage with default schema
+     * Check whether a collection has subscribers
+     */
+    isWatched(collectionName) {
+        return this.subscribers.get(collectionName)?.size > 0 || this.subscribers.get('*')?.size > 0;
+    }
+
+    /**
+     * Map of id -> record used to compute change records
+     */
+    snapshotCollection(collectionName) {
+        const snapshot = new Map();
+        this.getCollection(collectionName).forEach(item => {
+            if (item && item.id !== undefined) snapshot.set(item.id, item);
+        });
+        return snapshot;
+    }
+
+    /**
+     * Diff a watched collection against its last snapshot and queue the
+     * resulting change records. Local writes replace changed records, so a
+     * reference check is enough; data loaded from the backend is compared
+     * by value (`deep`).
+     */
+    recordChanges(collectionName, origin, deep = false) {
+        if (!this.isWatched(collectionName)) {
+            this.shadows.delete(collectionName);
+            return;
+        }
+
+        const before = this.shadows.get(collectionName) || new Map();
+        const after = this.snapshotCollection(collectionName);
+        const changes = [];
+
+        after.forEach((item, id) => {
+            const previous = before.get(id);
+            if (!previous) {
+                changes.push({ type: 'added', collection: collectionName, id, item, previous: null, origin });
+            } else if (deep ? JSON.stringify(previous) !== JSON.stringify(item) : previous !== item) {
+                changes.push({ type: 'updated', collection: collectionName, id, item, previous, origin });
+            }
+        });
+        before.forEach((item, id) => {
+            if (!after.has(id)) {
+                changes.push({ type: 'removed', collection: collectionName, id, item: null, previous: item, origin });
+            }
+        });
+
+        this.shadows.set(collectionName, after);
+        if (changes.length > 0) {
+            this.pendingChanges.push(...changes);
+            this.scheduleDelivery();
+        }
+    }
+
+    /**
+     * Deliver queued change records once the current task is done
+     */
+    scheduleDelivery() {
+        if (this.deliveryScheduled) return;
+        this.deliveryScheduled = true;
+        queueMicrotask(() => this.deliverChanges());
+    }
+
+    /**
+     * Call subscribers with the change records for their collection
+     */
+    deliverChanges() {
+        this.deliveryScheduled = false;
+        // Changes made inside a transaction are delivered on commit
+        if (this.transactionDepth > 0) return;
+
+        const changes = this.pendingChanges;
+        this.pendingChanges = [];
+
+        const byCollection = new Map();
+        changes.forEach(change => {
+            if (!byCollection.has(change.collection)) byCollection.set(change.collection, []);
+            byCollection.get(change.collection).push(change);
+        });
+
+        byCollection.forEach((records, collectionName) => {
+            const handlers = [
+                ...(this.subscribers.get(collectionName) || []),
+                ...(this.subscribers.get('*') || [])
+            ];
+            handlers.forEach(handler => {
+                try {
+                    handler(records);
+                } catch (error) {
+                    console.error(`Storage subscriber for ${collectionName} failed:`, error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Initialize storage with default schema and bring
+     * existing data up to the current schema version
      */
     initializeStorage() {
-        if (!this.getData()) {
+        const existing = this.getData();
+        if (!existing) {
+            // Base schema; pending migrations upgrade it to the current version
             const defaultSchema = {
-                version: '1.0.0',
+                version: MigrationRegistry.BASE_VERSION,
                 lastUpdated: new Date().toISOString(),
                 collections: {
                     users: [],
@@ -39,37 +438,322 @@ class StorageManager {
                 cache: {
                     pinCodes: {},
                     searchHistory: []
-                }
+                },
+                migrations: []
             };
-            this.setData(defaultSchema);
+            this.setData(this.migrateData(defaultSchema).data);
+            return;
         }
+
+        try {
+            const { data, applied } = this.migrateData(existing);
+            if (applied.length > 0) {
+                this.setData(data);
+            }
+            this.applyRetention();
+            this.quota.enforceBudget();
+        } catch (error) {
+            // Leave newer/unknown data untouched rather than corrupting it
+            console.error('Storage migration failed:', error);
+        }
+    }
+
+    /**
+     * Run pending schema migrations on a document
+     */
+    migrateData(data) {
+        const result = StorageMigrations.run(data);
+        result.applied.forEach(m => console.log(`Applied storage migration ${m.version}: ${m.description}`));
+        return result;
+    }
+
+    /**
+     * Get schema version and applied migrations
+     */
+    getSchemaInfo() {
+        const data = this.getData();
+        return {
+            version: data?.version || null,
+            currentVersion: StorageMigrations.currentVersion,
+            migrations: data?.migrations || []
+        };
     }
 
     /**
-     * Get all data from storage
+     * Get all data (the in-memory working copy)
      */
     getData() {
+        return this.data;
+    }
+
+    /**
+     * Replace all data; every collection is rewritten on the next flush
+     */
+    setData(data) {
+        this.data = data;
+        this.indexes.clear();
+        Object.keys(data?.collections || {}).forEach(name => {
+            this.dirtyCollections.add(name);
+            this.recordChanges(name, 'local', true);
+        });
+        return this.markDirty();
+    }
+
+    /**
+     * Record a change to a collection (or to settings/cache when no
+     * collection is given) and schedule a flush
+     */
+    markDirty(collectionName = null) {
+        if (!this.data) return false;
+        if (collectionName) {
+            this.dirtyCollections.add(collectionName);
+            this.indexes.delete(collectionName);
+            this.recordChanges(collectionName, 'local');
+        }
+        this.metaDirty = true;
+        this.scheduleFlush();
+        return true;
+    }
+
+    /**
+     * Batch writes: flush once at the end of the current task, or after
+     * FLUSH_DELAY_MS to debounce bursts of writes
+     */
+    scheduleFlush() {
+        // Transactions flush once, on commit
+        if (this.flushScheduled || this.transactionDepth > 0) return;
+        this.flushScheduled = true;
+
+        if (this.FLUSH_DELAY_MS > 0) {
+            this.flushTimer = setTimeout(() => this.flush(), this.FLUSH_DELAY_MS);
+        } else {
+            queueMicrotask(() => this.flush());
+        }
+    }
+
+    /**
+     * Write pending changes to the backend now. Resolves to false when the
+     * backend rejected the write; the changes stay dirty for the next flush.
+     * Flushes are applied in order: one that has to wait for encryption
+     * holds back the ones after it.
+     */
+    flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        this.flushScheduled = false;
+
+        // A transaction in progress flushes on commit
+        if (this.transactionDepth > 0 || !this.data || !this.metaDirty) {
+            return this.flushesInFlight > 0 ? this.lastFlush : Promise.resolve(true);
+        }
+
+        const takeDirty = () => {
+            const collections = [...this.dirtyCollections];
+            this.dirtyCollections.clear();
+            this.metaDirty = false;
+            this.data.lastUpdated = new Date().toISOString();
+            return collections;
+        };
+        let changed = takeDirty();
+
+        const write = () => {
+            if (!this.data) return true;
+            // Try the keys again rather than write sensitive fields in plaintext
+            if (this.encryptionError) {
+                return this.decryptLoadedData(this.data).then(() => {
+                    if (this.encryptionError) throw this.encryptionError;
+                    return write();
+                });
+            }
+            // Synchronous when every sensitive value is already encrypted
+            const prepared = this.cipher ? this.cipher.encryptDocument(this.data, this.SENSITIVE_FIELDS) : this.data;
+            return prepared instanceof Promise
+                ? prepared.then(doc => this.backend.write(doc, changed))
+                : this.backend.write(prepared, changed);
+        };
+        const attempt = (pending) => Promise.resolve(pending).then(() => null, error => error || new Error('Write failed')).then(error => {
+            if (!error) return true;
+            changed.forEach(name => this.dirtyCollections.add(name));
+            this.metaDirty = true;
+            // Only a full store is helped by evicting data. Retry in place
+            // (not via flush()) so queued flushes stay behind this one
+            if (this.data && QuotaMonitor.isQuotaError(error) && this.freeSpace()) {
+                changed = takeDirty();
+                return attempt(Promise.resolve().then(write));
+            }
+            this.reportUnsaved(error);
+            return false;
+        });
+
+        let written;
         try {
-            const data = localStorage.getItem(this.STORAGE_KEY);
-            return data ? JSON.parse(data) : null;
+            // Write right away when nothing is queued, so flushes during
+            // page unload still reach localStorage
+            written = this.flushesInFlight === 0 ? write() : this.lastFlush.then(write);
         } catch (error) {
-            console.error('Error reading from localStorage:', error);
-            return null;
+            written = Promise.reject(error);
         }
+
+        this.flushesInFlight++;
+        const result = attempt(written).then(ok => {
+            this.flushesInFlight--;
+            if (ok && this.channel) {
+                this.channel.postMessage({ type: 'flushed', collections: changed, lastUpdated: this.data?.lastUpdated });
+            }
+            return ok;
+        });
+        this.lastFlush = result;
+        return result;
     }
 
     /**
-     * Set all data to storage
+     * Evict the least important data after a failed write. Returns true
+     * when something was freed and the write is worth retrying.
      */
-    setData(data) {
+    freeSpace() {
+        let eviction = this.quota.enforceBudget();
+        if (eviction.freed === 0) {
+            eviction = this.quota.evict(1);
+        }
+        return eviction.freed > 0;
+    }
+
+    /**
+     * A write failed and eviction cannot help: keep the unsaved collections
+     * dirty for the next flush and, when the store is full, tell the app
+     * rather than dropping them silently
+     */
+    reportUnsaved(error) {
+        const unsaved = [...this.dirtyCollections];
+        const critical = unsaved.filter(name => this.CRITICAL_COLLECTIONS.includes(name));
+        if (!QuotaMonitor.isQuotaError(error)) {
+            console.error('Could not save data; unsaved collections kept in memory:', unsaved, error);
+            return;
+        }
+        console.error('Storage is full; unsaved collections kept in memory:', unsaved);
+        if (typeof document !== 'undefined') {
+            document.dispatchEvent(new CustomEvent('storage:full', {
+                detail: { unsaved, critical, usage: this.quota.usage() }
+            }));
+        }
+    }
+
+    /**
+     * Run several writes as one unit: they are persisted in a single flush,
+     * or rolled back entirely if fn throws or the flush fails.
+     *
+     *   await Storage.transaction(tx => {
+     *       const user = tx.addToCollection('users', data);
+     *       tx.addToCollection('providers', { userId: user.id, ...user });
+     *       return user;
+     *   });
+     *
+     * fn may be async, but any other write made while it awaits becomes part
+     * of the transaction. Nested calls join the outer transaction.
+     */
+    async transaction(fn) {
+        if (this.transactionDepth > 0) {
+            return fn(this);
+        }
+        this.assertReady();
+
+        const snapshot = this.captureSnapshot();
+        this.transactionDepth++;
+
+        let result;
         try {
-            data.lastUpdated = new Date().toISOString();
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(data));
-            return true;
+            result = await fn(this);
         } catch (error) {
-            console.error('Error writing to localStorage:', error);
-            return false;
+            this.transactionDepth--;
+            this.restoreSnapshot(snapshot);
+            throw error;
+        }
+
+        this.transactionDepth--;
+        const persisted = await this.flush();
+        if (!persisted) {
+            this.restoreSnapshot(snapshot);
+            throw new Error('Transaction could not be persisted; changes were rolled back');
         }
+
+        this.scheduleDelivery();
+        return result;
+    }
+
+    /**
+     * Capture what a transaction may change. Records are replaced rather
+     * than mutated by the write methods, so shallow copies of the
+     * collection arrays are enough; settings and cache are copied deeply.
+     */
+    captureSnapshot() {
+        const collections = {};
+        Object.entries(this.data.collections || {}).forEach(([name, items]) => {
+            collections[name] = [...items];
+        });
+
+        const shadows = new Map();
+        this.shadows.forEach((snapshot, name) => shadows.set(name, new Map(snapshot)));
+
+        return {
+            data: {
+                ...this.data,
+                collections,
+                settings: JSON.parse(JSON.stringify(this.data.settings || {})),
+                cache: JSON.parse(JSON.stringify(this.data.cache || {}))
+            },
+            dirtyCollections: new Set(this.dirtyCollections),
+            metaDirty: this.metaDirty,
+            pendingChanges: this.pendingChanges.length,
+            shadows
+        };
+    }
+
+    /**
+     * Roll the working copy back to a captured snapshot
+     */
+    restoreSnapshot(snapshot) {
+        this.data = snapshot.data;
+        this.indexes.clear();
+        this.shadows = snapshot.shadows;
+        this.pendingChanges = this.pendingChanges.slice(0, snapshot.pendingChanges);
+        // A failed flush leaves its collections dirty; rewriting them is harmless
+        snapshot.dirtyCollections.forEach(name => this.dirtyCollections.add(name));
+        this.metaDirty = this.metaDirty || snapshot.metaDirty;
+        if (this.metaDirty) {
+            this.scheduleFlush();
+        }
+        if (this.pendingChanges.length > 0) {
+            this.scheduleDelivery();
+        }
+    }
+
+    /**
+     * Get a stored key/value item (e.g. API tokens)
+     */
+    getItem(key) {
+        return this.data?.keyValue?.[key] ?? null;
+    }
+
+    /**
+     * Set a key/value item
+     */
+    setItem(key, value) {
+        this.assertReady();
+        this.data.keyValue = { ...(this.data.keyValue || {}), [key]: value };
+        return this.markDirty();
+    }
+
+    /**
+     * Remove a key/value item
+     */
+    removeItem(key) {
+        this.assertReady();
+        if (!this.data.keyValue || !(key in this.data.keyValue)) return false;
+        const { [key]: _removed, ...rest } = this.data.keyValue;
+        this.data.keyValue = rest;
+        return this.markDirty();
     }
 
     /**
@@ -80,16 +764,22 @@ class StorageManager {
         return data?.collections?.[collectionName] || [];
     }
 
+    /**
+     * Writes before the store is loaded would be lost on hydration
+     */
+    assertReady() {
+        if (!this.data?.collections) {
+            throw new Error('Storage is not ready; await Storage.ready before writing');
+        }
+    }
+
     /**
      * Set a specific collection
      */
     setCollection(collectionName, collectionData) {
-        const data = this.getData();
-        if (data && data.collections) {
-            data.collections[collectionName] = collectionData;
-            return this.setData(data);
-        }
-        return false;
+        this.assertReady();
+        this.data.collections[collectionName] = collectionData;
+        return this.markDirty(collectionName);
     }
 
     /**
@@ -157,11 +847,89 @@ class StorageManager {
         return collection.filter(predicate);
     }
 
+    /**
+     * Start a query on a collection (see storage-query.js)
+     */
+    query(collectionName) {
+        return new CollectionQuery(this, collectionName);
+    }
+
+    /**
+     * Declare a secondary index on a collection field
+     */
+    defineIndex(collectionName, field) {
+        const fields = this.indexDefinitions[collectionName] || [];
+        if (!fields.includes(field)) {
+            this.indexDefinitions[collectionName] = [...fields, field];
+            this.indexes.delete(collectionName);
+        }
+    }
+
+    /**
+     * Check whether a collection field is indexed
+     */
+    hasIndex(collectionName, field) {
+        return (this.indexDefinitions[collectionName] || []).includes(field);
+    }
+
+    /**
+     * Records whose indexed field equals value. Indexes are built lazily
+     * and dropped whenever their collection changes.
+     */
+    lookupIndex(collectionName, field, value) {
+        let index = this.indexes.get(collectionName);
+        if (!index) {
+            index = this.buildIndex(collectionName);
+            this.indexes.set(collectionName, index);
+        }
+        return index.get(field)?.get(value) || [];
+    }
+
+    /**
+     * Build every declared index for a collection in one pass
+     */
+    buildIndex(collectionName) {
+        const fields = this.indexDefinitions[collectionName] || [];
+        const index = new Map(fields.map(field => [field, new Map()]));
+
+        this.getCollection(collectionName).forEach(item => {
+            fields.forEach(field => {
+                const value = CollectionQuery.getField(item, field);
+                if (value === undefined) return;
+                const bucket = index.get(field);
+                if (!bucket.has(value)) bucket.set(value, []);
+                bucket.get(value).push(item);
+            });
+        });
+        return index;
+    }
+
+    /**
+     * Find the first record whose field equals value (uses indexes)
+     */
+    findBy(collectionName, field, value) {
+        return this.query(collectionName).where(field, value).first();
+    }
+
+    /**
+     * Find a record by id
+     */
+    findById(collectionName, id) {
+        return this.findBy(collectionName, 'id', id);
+    }
+
     /**
      * Generate unique ID
      */
     generateId() {
-        return 'id_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        // UUIDs double as Supabase primary keys (see sync.service.js)
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+            const r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+        });
     }
 
     /**
@@ -171,7 +939,7 @@ class StorageManager {
         const data = this.getData();
         const userId = data?.settings?.currentUser;
         if (userId) {
-            return this.findInCollection('users', user => user.id === userId);
+            return this.findById('users', userId);
         }
         return null;
     }
@@ -183,7 +951,7 @@ class StorageManager {
         const data = this.getData();
         if (data && data.settings) {
             data.settings.currentUser = userId;
-            return this.setData(data);
+            return this.markDirty();
         }
         return false;
     }
@@ -195,7 +963,7 @@ class StorageManager {
         const data = this.getData();
         if (data && data.settings) {
             data.settings.currentUser = null;
-            return this.setData(data);
+            return this.markDirty();
         }
         return false;
     }
@@ -215,7 +983,7 @@ class StorageManager {
         const data = this.getData();
         if (data && data.settings) {
             data.settings = { ...data.settings, ...updates };
-            return this.setData(data);
+            return this.markDirty();
         }
         return false;
     }
@@ -224,11 +992,13 @@ class StorageManager {
      * Add notification
      */
     addNotification(notification) {
-        return this.addToCollection('notifications', {
+        const added = this.addToCollection('notifications', {
             ...notification,
             read: false,
             timestamp: new Date().toISOString()
         });
+        this.pruneCollection('notifications');
+        return added;
     }
 
     /**
@@ -254,9 +1024,9 @@ class StorageManager {
         const existingItem = cart.find(i => i.productId === item.productId);
         
         if (existingItem) {
-            existingItem.quantity = (existingItem.quantity || 1) + (item.quantity || 1);
-            this.setCollection('cart', cart);
-            return existingItem;
+            return this.updateInCollection('cart', existingItem.id, {
+                quantity: (existingItem.quantity || 1) + (item.quantity || 1)
+            });
         } else {
             return this.addToCollection('cart', {
                 ...item,
@@ -306,9 +1076,9 @@ class StorageManager {
                 timestamp: new Date().toISOString()
             });
             
-            // Keep only last 20 searches
-            data.cache.searchHistory = filtered.slice(0, 20);
-            this.setData(data);
+            // Keep only the most recent searches
+            data.cache.searchHistory = filtered.slice(0, this.CACHE_POLICIES.searchHistory.maxCount);
+            this.markDirty();
         }
     }
 
@@ -323,70 +1093,329 @@ class StorageManager {
     /**
      * Cache PIN code data
      */
-    cachePinCode(pinCode, data) {
+    cachePinCode(pinCode, data, ttlMs = this.CACHE_POLICIES.pinCodes.ttlDays * StorageManager.DAY_MS) {
         const storage = this.getData();
         if (storage && storage.cache) {
+            const now = Date.now();
             storage.cache.pinCodes[pinCode] = {
                 ...data,
-                cachedAt: new Date().toISOString()
+                cachedAt: new Date(now).toISOString(),
+                expiresAt: new Date(now + ttlMs).toISOString()
             };
-            this.setData(storage);
+            if (Object.keys(storage.cache.pinCodes).length > this.CACHE_POLICIES.pinCodes.maxCount) {
+                this.pruneCache(now);
+            }
+            this.markDirty();
         }
     }
 
     /**
-     * Get cached PIN code data
+     * Get cached PIN code data (null once expired)
      */
     getCachedPinCode(pinCode) {
         const data = this.getData();
-        return data?.cache?.pinCodes?.[pinCode] || null;
+        const entry = data?.cache?.pinCodes?.[pinCode];
+        if (!entry) return null;
+        if (this.isCacheEntryExpired(entry, this.CACHE_POLICIES.pinCodes)) {
+            delete data.cache.pinCodes[pinCode];
+            this.markDirty();
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Check a cache entry against its own expiresAt or the area's max age
+     */
+    isCacheEntryExpired(entry, policy, now = Date.now()) {
+        if (entry.expiresAt) {
+            return Date.parse(entry.expiresAt) <= now;
+        }
+        const maxAgeDays = policy.ttlDays || policy.maxAgeDays;
+        const time = Date.parse(entry.cachedAt || entry.timestamp);
+        return !!maxAgeDays && !isNaN(time) && time + maxAgeDays * StorageManager.DAY_MS <= now;
+    }
+
+    /**
+     * Drop expired cache entries, then the oldest ones over maxCount.
+     * Returns the number removed per cache area.
+     */
+    pruneCache(now = Date.now()) {
+        const cache = this.getData()?.cache;
+        const removed = {};
+        if (!cache) return removed;
+
+        const entryTime = (entry) => Date.parse(entry.cachedAt || entry.timestamp) || 0;
+        Object.entries(this.CACHE_POLICIES).forEach(([area, policy]) => {
+            const value = cache[area];
+            if (!value) return;
+
+            const entries = Array.isArray(value) ? value.map((entry, i) => [i, entry]) : Object.entries(value);
+            let kept = entries.filter(([, entry]) => !this.isCacheEntryExpired(entry, policy, now));
+            if (policy.maxCount && kept.length > policy.maxCount) {
+                kept = kept.sort(([, a], [, b]) => entryTime(b) - entryTime(a)).slice(0, policy.maxCount);
+            }
+            if (kept.length === entries.length) return;
+
+            cache[area] = Array.isArray(value) ? kept.map(([, entry]) => entry) : Object.fromEntries(kept);
+            removed[area] = entries.length - kept.length;
+        });
+
+        if (Object.keys(removed).length > 0) {
+            this.markDirty();
+        }
+        return removed;
     }
 
     /**
-     * Export all data (for backup)
+     * Drop records older than the collection's maxAgeDays (by createdAt),
+     * then the oldest ones over maxCount. Returns the number removed.
      */
-    exportData() {
+    pruneCollection(collectionName, now = Date.now()) {
+        const policy = this.RETENTION_POLICIES[collectionName];
+        const items = this.getCollection(collectionName);
+        if (!policy || items.length === 0) return 0;
+
+        const cutoff = policy.maxAgeDays ? now - policy.maxAgeDays * StorageManager.DAY_MS : -Infinity;
+        let kept = items.filter(item => !item.createdAt || Date.parse(item.createdAt) >= cutoff);
+        if (policy.maxCount && kept.length > policy.maxCount) {
+            const newest = new Set([...kept]
+                .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))
+                .slice(0, policy.maxCount));
+            kept = kept.filter(item => newest.has(item));
+        }
+        if (kept.length === items.length) return 0;
+
+        this.setCollection(collectionName, kept);
+        return items.length - kept.length;
+    }
+
+    /**
+     * Apply every retention and cache policy. Runs on load and before
+     * quota eviction; returns the number of entries removed per area.
+     */
+    applyRetention(now = Date.now()) {
+        const removed = { ...this.pruneCache(now) };
+        Object.keys(this.RETENTION_POLICIES).forEach(name => {
+            const count = this.pruneCollection(name, now);
+            if (count > 0) removed[name] = count;
+        });
+        return removed;
+    }
+
+    /**
+     * Estimated storage usage by collection and cache area, plus the
+     * browser's quota estimate where available
+     */
+    getStorageUsage() {
+        return this.quota.report();
+    }
+
+    /**
+     * Build a backup document.
+     * options: { userId, collections, includeSecrets }
+     * - userId: only records linked to that user; collections without owner
+     *   fields are left out unless listed in `collections`
+     * - collections: names of collections to include (default all)
+     * - includeSecrets: keep passwords, tokens and OTPs (default false)
+     * Settings and cache are only included in a full export.
+     */
+    buildExport({ userId = null, collections = null, includeSecrets = false } = {}) {
         const data = this.getData();
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const names = collections || Object.keys(data.collections || {})
+            .filter(name => !StorageBackup.INTERNAL_COLLECTIONS.includes(name));
+        const result = {};
+
+        names.forEach(name => {
+            let items = data.collections?.[name];
+            if (!Array.isArray(items)) return;
+            if (userId) {
+                if (StorageBackup.OWNER_FIELDS[name]) {
+                    items = items.filter(item => StorageBackup.isOwnedBy(name, item, userId));
+                } else if (!collections) {
+                    return;
+                }
+            }
+            result[name] = includeSecrets ? items : items.map(item => StorageBackup.redactRecord(name, item));
+        });
+
+        const full = !userId && !collections;
+        const backup = {
+            version: data.version,
+            migrations: data.migrations || [],
+            collections: result,
+            exportedAt: new Date().toISOString(),
+            scope: { userId, collections: collections || null },
+            redacted: !includeSecrets
+        };
+        if (full) {
+            backup.settings = data.settings;
+            backup.cache = data.cache;
+        }
+        if (includeSecrets) {
+            backup.keyValue = data.keyValue || {};
+        }
+        return backup;
+    }
+
+    /**
+     * Export data (for backup). Downloads the file unless
+     * options.download is false; always returns the backup document.
+     */
+    exportData(options = {}) {
+        const backup = this.buildExport(options);
+        if (options.download === false) {
+            return backup;
+        }
+
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `quickserve_backup_${new Date().getTime()}.json`;
+        a.download = `quickserve_backup_${options.userId ? options.userId + '_' : ''}${new Date().getTime()}.json`;
         a.click();
         URL.revokeObjectURL(url);
+        return backup;
     }
 
     /**
-     * Import data (restore from backup)
+     * Import data (restore from backup). Resolves to the import report;
+     * see importBackup for options.
      */
-    importData(file) {
+    importData(file, options = {}) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = (e) => {
+                let data;
                 try {
-                    const data = JSON.parse(e.target.result);
-                    if (data && data.version && data.collections) {
-                        this.setData(data);
-                        resolve(true);
-                    } else {
-                        reject(new Error('Invalid backup file format'));
-                    }
+                    data = JSON.parse(e.target.result);
                 } catch (error) {
-                    reject(error);
+                    reject(new Error('Backup file is not valid JSON'));
+                    return;
                 }
+                this.importBackup(data, options).then(resolve, reject);
             };
             reader.onerror = reject;
             reader.readAsText(file);
         });
     }
 
+    /**
+     * Validate and apply a parsed backup.
+     * options.mode:
+     * - 'replace' (default): collections in the backup replace local ones;
+     *   collections the backup does not contain are left alone, as are
+     *   local credentials missing from a redacted backup and, for a
+     *   per-user export (scope.userId), other users' records
+     * - 'merge': records are merged by id; local records newer than the
+     *   backup copy (by updatedAt) are kept
+     * - 'dry-run': report what a merge would change without writing
+     *   (or set options.dryRun with either mode)
+     * Records failing schema validation are skipped and listed in
+     * report.errors. Resolves to
+     * { mode, applied, version, collections: { name: { added, updated,
+     *   removed, unchanged, skipped, invalid } }, errors }
+     * where each count field is an array of record ids.
+     */
+    async importBackup(data, { mode = 'replace', dryRun = false } = {}) {
+        if (mode === 'dry-run') {
+            mode = 'merge';
+            dryRun = true;
+        }
+        if (mode !== 'replace' && mode !== 'merge') {
+            throw new Error(`Unknown import mode: ${mode}`);
+        }
+        if (!data || typeof data !== 'object' || !data.version || !data.collections || typeof data.collections !== 'object') {
+            throw new Error('Invalid backup file format');
+        }
+        if (StorageMigrations.isNewerThanCurrent(data.version)) {
+            throw new Error(`Backup uses schema ${data.version}, which is newer than this app supports (${StorageMigrations.currentVersion}). Please update QuickServe first.`);
+        }
+        await this.ready;
+
+        // Migrations assume array collections; malformed ones are reported below
+        const importedNames = Object.keys(data.collections);
+        const malformed = importedNames.filter(name => !Array.isArray(data.collections[name]));
+        malformed.forEach(name => { delete data.collections[name]; });
+
+        const migrated = this.migrateData(data).data;
+        // Values encrypted under another device's key cannot be read and become null
+        await this.decryptLoadedData(migrated);
+
+        const validation = StorageBackup.validateBackup(migrated);
+        malformed.forEach(name => {
+            validation.errors.push({ collection: name, index: null, id: null, errors: ['collection is not an array'] });
+        });
+
+        // Migrations may add empty collections the backup never had
+        const names = importedNames.filter(name => validation.collections[name]);
+        const report = {
+            mode: dryRun ? 'dry-run' : mode,
+            applied: false,
+            version: migrated.version,
+            collections: {},
+            errors: validation.errors
+        };
+        const results = {};
+
+        // A per-user export only replaces that user's records
+        const scopeUserId = data.scope?.userId || null;
+        names.forEach(name => {
+            const current = this.getCollection(name);
+            const incoming = validation.collections[name];
+            const options = {
+                removeMissing: mode === 'replace',
+                inScope: scopeUserId && StorageBackup.OWNER_FIELDS[name]
+                    ? (record) => StorageBackup.isOwnedBy(name, record, scopeUserId)
+                    : () => true
+            };
+            const diff = StorageBackup.diffCollection(name, current, incoming, options);
+            diff.invalid = validation.errors
+                .filter(error => error.collection === name)
+                .map(error => error.id);
+            report.collections[name] = diff;
+            results[name] = StorageBackup.applyDiff(name, current, incoming, diff, options);
+        });
+        if (dryRun) {
+            return report;
+        }
+
+        await this.transaction(() => {
+            names.forEach(name => {
+                const diff = report.collections[name];
+                if (diff.added.length || diff.updated.length || diff.removed.length) {
+                    this.setCollection(name, results[name]);
+                }
+            });
+            if (mode === 'replace') {
+                if (migrated.settings) this.updateSettings(migrated.settings);
+                if (migrated.cache) {
+                    this.data.cache = migrated.cache;
+                    this.markDirty();
+                }
+                if (migrated.keyValue) {
+                    Object.entries(migrated.keyValue).forEach(([key, value]) => this.setItem(key, value));
+                }
+            }
+        });
+
+        report.applied = true;
+        return report;
+    }
+
     /**
      * Clear all data
      */
-    clearAllData() {
+    async clearAllData() {
         if (confirm('This will delete all QuickServe data. Are you sure?')) {
-            localStorage.removeItem(this.STORAGE_KEY);
-            this.initializeStorage();
+            this.data = null;
+            this.indexes.clear();
+            this.dirtyCollections.clear();
+            this.metaDirty = false;
+            await this.backend.clear();
+            this.backend = this.createBackend();
+            this.ready = this.connect();
+            await this.ready;
             return true;
         }
         return false;
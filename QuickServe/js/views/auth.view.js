@@ -0,0 +1,217 @@
+export const authView = {
+    flow: null,
+    modal: null,
+    timer: null,
+
+    stepIds: {
+        role: 'roleSelection',
+        phone: 'phoneInput',
+        otp: 'otpVerification',
+        aadhaar: 'aadhaarKyc',
+        profile: 'profileSetup'
+    },
+
+    init(flow = window.AuthFlow) {
+        this.flow = flow;
+        this.modal = document.getElementById('authModal');
+        if (!this.modal || !this.flow) return;
+
+        this.bindEvents();
+        this.flow.on('change', ({ state }) => this.render(state));
+        this.flow.on('complete', () => this.close());
+
+        this.flow.auth.onUserChange((user) => this.updateLoginButton(user));
+        this.render(this.flow.getState());
+
+        // Resume a flow that was interrupted by a reload
+        if (this.flow.isActive()) {
+            this.open();
+        }
+    },
+
+    bindEvents() {
+        const byId = (id) => document.getElementById(id);
+
+        byId('loginBtn')?.addEventListener('click', () => this.open());
+        byId('closeAuthModal')?.addEventListener('click', () => this.close());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+
+        this.modal.querySelectorAll('.role-card').forEach(card => {
+            card.addEventListener('click', () => this.flow.selectRole(card.dataset.role));
+        });
+
+        const phoneInput = byId('phoneNumber');
+        phoneInput?.addEventListener('input', () => {
+            phoneInput.value = phoneInput.value.replace(/\D/g, '').slice(0, 10);
+            this.updateControls();
+        });
+        byId('sendOtpBtn')?.addEventListener('click', () => this.flow.submitPhone(phoneInput.value));
+
+        this.bindOtpInputs();
+        byId('verifyOtpBtn')?.addEventListener('click', () => this.flow.submitOtp(this.getOtpCode()));
+        byId('resendOtpBtn')?.addEventListener('click', () => this.flow.resendOtp());
+        byId('changePhoneBtn')?.addEventListener('click', () => this.flow.back());
+
+        const aadhaarInput = byId('aadhaarNumber');
+        aadhaarInput?.addEventListener('input', () => {
+            aadhaarInput.value = aadhaarInput.value.replace(/\D/g, '').slice(0, 12);
+            this.updateControls();
+        });
+        byId('aadhaarConsent')?.addEventListener('change', () => this.updateControls());
+        byId('verifyAadhaarBtn')?.addEventListener('click', async () => {
+            const result = await this.flow.submitAadhaar(aadhaarInput.value, byId('aadhaarConsent').checked);
+            // Do not leave the full number on the page
+            if (result.success) aadhaarInput.value = '';
+        });
+
+        const aadhaarOtpInput = byId('aadhaarOtp');
+        aadhaarOtpInput?.addEventListener('input', () => {
+            aadhaarOtpInput.value = aadhaarOtpInput.value.replace(/\D/g, '').slice(0, 6);
+            this.updateControls();
+        });
+        byId('verifyAadhaarOtpBtn')?.addEventListener('click', async () => {
+            await this.flow.submitAadhaarOtp(aadhaarOtpInput.value);
+            aadhaarOtpInput.value = '';
+            this.updateControls();
+        });
+        byId('changeAadhaarBtn')?.addEventListener('click', () => this.flow.changeAadhaar());
+
+        byId('completeProfileBtn')?.addEventListener('click', () => {
+            const services = [...this.modal.querySelectorAll('.service-tag input:checked')].map(input => input.value);
+            this.flow.completeProfile({
+                fullName: byId('fullName').value,
+                email: byId('email').value,
+                services
+            });
+        });
+    },
+
+    bindOtpInputs() {
+        const digits = [...this.modal.querySelectorAll('.otp-digit')];
+        digits.forEach((input, index) => {
+            input.addEventListener('input', () => {
+                input.value = input.value.replace(/\D/g, '').slice(-1);
+                if (input.value && digits[index + 1]) digits[index + 1].focus();
+                this.updateControls();
+            });
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Backspace' && !input.value && digits[index - 1]) digits[index - 1].focus();
+                if (e.key === 'Enter' && this.getOtpCode().length === digits.length) {
+                    this.flow.submitOtp(this.getOtpCode());
+                }
+            });
+            input.addEventListener('paste', (e) => {
+                const pasted = (e.clipboardData?.getData('text') || '').replace(/\D/g, '');
+                if (!pasted) return;
+                e.preventDefault();
+                digits.forEach((digit, i) => { digit.value = pasted[i] || ''; });
+                digits[Math.min(pasted.length, digits.length) - 1].focus();
+                this.updateControls();
+            });
+        });
+    },
+
+    getOtpCode() {
+        return [...this.modal.querySelectorAll('.otp-digit')].map(input => input.value).join('');
+    },
+
+    clearOtpInputs() {
+        this.modal.querySelectorAll('.otp-digit').forEach(input => { input.value = ''; });
+    },
+
+    open() {
+        // A finished flow starts over; signed-in users have nothing to do here
+        if (Storage.getCurrentUser() && !this.flow.isActive()) return;
+        if (this.flow.getState().step === 'done') this.flow.reset();
+        this.modal.classList.add('active');
+        this.render(this.flow.getState());
+    },
+
+    close() {
+        // The flow keeps its step, so reopening resumes where the user left
+        this.modal.classList.remove('active');
+        this.stopTimer();
+    },
+
+    render(state) {
+        Object.entries(this.stepIds).forEach(([step, id]) => {
+            document.getElementById(id)?.classList.toggle('hidden', step !== state.step);
+        });
+
+        const error = document.getElementById('authError');
+        if (error) {
+            error.textContent = state.error || '';
+            error.classList.toggle('hidden', !state.error);
+        }
+
+        this.modal.querySelectorAll('.provider-only').forEach(el => {
+            el.classList.toggle('hidden', state.role !== 'provider');
+        });
+
+        const sentTo = document.getElementById('sentToNumber');
+        if (sentTo) sentTo.textContent = state.phone || '';
+
+        document.getElementById('aadhaarNumberGroup')?.classList.toggle('hidden', !!state.kyc);
+        document.getElementById('aadhaarOtpGroup')?.classList.toggle('hidden', !state.kyc);
+        const masked = document.getElementById('aadhaarMasked');
+        if (masked) masked.textContent = state.kyc ? state.kyc.maskedNumber : '';
+
+        if (state.step === 'otp' && this.modal.classList.contains('active')) {
+            this.startTimer();
+        } else {
+            this.stopTimer();
+        }
+        if (state.step !== 'otp') this.clearOtpInputs();
+
+        this.updateControls();
+    },
+
+    /**
+     * Enable buttons from the inputs and the flow's pending flag
+     */
+    updateControls() {
+        const state = this.flow.getState();
+        const setDisabled = (id, disabled) => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = state.pending || disabled;
+        };
+
+        setDisabled('sendOtpBtn', !/^[6-9]\d{9}$/.test(document.getElementById('phoneNumber')?.value || ''));
+        setDisabled('verifyOtpBtn', this.getOtpCode().length !== Constants.OTP.LENGTH);
+        setDisabled('verifyAadhaarBtn', !(Aadhaar.isValid(document.getElementById('aadhaarNumber')?.value || '') &&
+            document.getElementById('aadhaarConsent')?.checked));
+        setDisabled('verifyAadhaarOtpBtn', !/^\d{6}$/.test(document.getElementById('aadhaarOtp')?.value || ''));
+        setDisabled('changeAadhaarBtn', false);
+        setDisabled('completeProfileBtn', false);
+        setDisabled('changePhoneBtn', false);
+
+        const status = state.step === 'otp' ? this.flow.getOtpStatus() : null;
+        setDisabled('resendOtpBtn', !status || !status.canSend);
+
+        const timer = document.getElementById('otpTimer');
+        if (timer && status) {
+            timer.textContent = status.waitSeconds;
+            timer.parentElement.classList.toggle('hidden', status.waitSeconds === 0);
+        }
+    },
+
+    /**
+     * Count the resend cooldown (or lockout) down on #otpTimer
+     */
+    startTimer() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.updateControls(), 1000);
+    },
+
+    stopTimer() {
+        clearInterval(this.timer);
+        this.timer = null;
+    },
+
+    updateLoginButton(user) {
+        const label = document.querySelector('#loginBtn span');
+        if (label) label.textContent = user ? (user.fullName || 'Account') : 'Login';
+    }
+};
@@ -2,6 +2,7 @@
 -- Run in Supabase SQL editor
 
 create extension if not exists "uuid-ossp";
+create extension if not exists pgcrypto;
 
 -- Users profile (separate from auth.users)
 create table if not exists public.users (
@@ -10,7 +11,7 @@ create table if not exists public.users (
   email text unique,
   phone text,
   name text,
-  role text check (role in ('admin','provider','customer')) default 'customer',
+  role text check (role in ('admin','provider','customer','other')) default 'customer',
   status text default 'active',
   verified boolean default false,
   created_at timestamp with time zone default now()
@@ -49,7 +50,153 @@ create table if not exists public.bookings (
   created_at timestamp with time zone default now()
 );
 
+-- Login sessions, one per device (js/utils/session-manager.js)
+create table if not exists public.user_sessions (
+  id uuid primary key default uuid_generate_v4(),
+  user_id uuid references public.users(id) on delete cascade,
+  device_id text,
+  platform text,
+  user_agent text,
+  last_active_at timestamp with time zone,
+  expires_at timestamp with time zone,
+  revoked_at timestamp with time zone,
+  ended_reason text,
+  created_at timestamp with time zone default now()
+);
+
+-- Provider verification documents (js/services/provider-verification.service.js).
+-- The images are in the private provider-documents Storage bucket under
+-- <user id>/; `file` holds { store, path }.
+create table if not exists public.provider_documents (
+  id uuid primary key default uuid_generate_v4(),
+  user_id uuid references public.users(id) on delete cascade,
+  type text check (type in ('aadhaar','pan','gst','certification')) not null,
+  number text,
+  title text,
+  file_name text,
+  mime_type text,
+  size integer,
+  file jsonb,
+  status text check (status in ('submitted','under_review','approved','rejected')) default 'submitted',
+  submitted_at timestamp with time zone,
+  reviewer_id uuid references public.users(id) on delete set null,
+  reviewed_at timestamp with time zone,
+  rejection_reason text,
+  history jsonb default '[]'::jsonb,
+  created_at timestamp with time zone default now()
+);
+
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values ('provider-documents', 'provider-documents', false, 5242880, array['image/jpeg','image/png','image/gif'])
+on conflict (id) do nothing;
+
+-- Sync columns (js/services/sync.service.js)
+-- updated_at is set by the server on every write and drives incremental pulls;
+-- client_updated_at is the device edit time used for last-writer-wins;
+-- deleted_at marks soft deletes so other devices can pull them.
+alter table public.users add column if not exists updated_at timestamp with time zone default now();
+alter table public.users add column if not exists client_updated_at timestamp with time zone;
+alter table public.users add column if not exists deleted_at timestamp with time zone;
+alter table public.services add column if not exists updated_at timestamp with time zone default now();
+alter table public.services add column if not exists client_updated_at timestamp with time zone;
+alter table public.services add column if not exists deleted_at timestamp with time zone;
+alter table public.bookings add column if not exists updated_at timestamp with time zone default now();
+alter table public.bookings add column if not exists client_updated_at timestamp with time zone;
+alter table public.bookings add column if not exists deleted_at timestamp with time zone;
+alter table public.bookings add column if not exists otp_state jsonb;
+alter table public.user_sessions add column if not exists updated_at timestamp with time zone default now();
+alter table public.user_sessions add column if not exists client_updated_at timestamp with time zone;
+alter table public.user_sessions add column if not exists deleted_at timestamp with time zone;
+alter table public.provider_documents add column if not exists updated_at timestamp with time zone default now();
+alter table public.provider_documents add column if not exists client_updated_at timestamp with time zone;
+alter table public.provider_documents add column if not exists deleted_at timestamp with time zone;
+
+create or replace function public.set_updated_at() returns trigger as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists users_set_updated_at on public.users;
+create trigger users_set_updated_at before insert or update on public.users
+  for each row execute function public.set_updated_at();
+drop trigger if exists services_set_updated_at on public.services;
+create trigger services_set_updated_at before insert or update on public.services
+  for each row execute function public.set_updated_at();
+drop trigger if exists bookings_set_updated_at on public.bookings;
+create trigger bookings_set_updated_at before insert or update on public.bookings
+  for each row execute function public.set_updated_at();
+drop trigger if exists user_sessions_set_updated_at on public.user_sessions;
+create trigger user_sessions_set_updated_at before insert or update on public.user_sessions
+  for each row execute function public.set_updated_at();
+drop trigger if exists provider_documents_set_updated_at on public.provider_documents;
+create trigger provider_documents_set_updated_at before insert or update on public.provider_documents
+  for each row execute function public.set_updated_at();
+
+-- Profile ids (js/services/auth.service.js)
+-- A profile's id is its auth id, so the app's user ids, RLS checks on
+-- auth.uid() and the booking code functions all agree. Profiles created
+-- before that are re-keyed once; references follow via on update cascade.
+do $$
+declare
+  fk record;
+begin
+  for fk in
+    select c.conname, c.conrelid::regclass as tbl, pg_get_constraintdef(c.oid) as def
+      from pg_constraint c
+     where c.contype = 'f' and c.confrelid = 'public.users'::regclass
+       and pg_get_constraintdef(c.oid) not ilike '%on update cascade%'
+  loop
+    execute format('alter table %s drop constraint %I', fk.tbl, fk.conname);
+    execute format('alter table %s add constraint %I %s on update cascade', fk.tbl, fk.conname, fk.def);
+  end loop;
+end $$;
+
+update public.users set id = auth_id where auth_id is not null and id is distinct from auth_id;
+
+alter table public.users drop constraint if exists users_id_is_auth_id;
+alter table public.users add constraint users_id_is_auth_id check (auth_id is null or id = auth_id);
+
+-- Roles (js/utils/access-control.js)
+-- Users pick customer, provider or other at sign-up; admin can only be
+-- granted by an existing admin or from the SQL editor / service role.
+create or replace function public.is_admin() returns boolean as $$
+  select exists (
+    select 1 from public.users where auth_id = auth.uid() and role = 'admin' and deleted_at is null
+  );
+$$ language sql stable security definer set search_path = public;
+
+create or replace function public.protect_user_role() returns trigger as $$
+begin
+  if auth.uid() is not null
+     and new.role = 'admin'
+     and (tg_op = 'INSERT' or old.role is distinct from 'admin')
+     and not public.is_admin() then
+    raise exception 'Only admins can grant the admin role' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists users_protect_role on public.users;
+create trigger users_protect_role before insert or update on public.users
+  for each row execute function public.protect_user_role();
+
 -- Indexes
+create unique index if not exists idx_users_auth_id on public.users (auth_id);
+-- Sync pulls page by (updated_at, id)
+drop index if exists idx_users_updated;
+drop index if exists idx_services_updated;
+drop index if exists idx_bookings_updated;
+drop index if exists idx_user_sessions_updated;
+create index if not exists idx_users_updated_id on public.users (updated_at, id);
+create index if not exists idx_services_updated_id on public.services (updated_at, id);
+create index if not exists idx_bookings_updated_id on public.bookings (updated_at, id);
+create index if not exists idx_user_sessions_updated_id on public.user_sessions (updated_at, id);
+create index if not exists idx_provider_documents_updated_id on public.provider_documents (updated_at, id);
+create index if not exists idx_provider_documents_user on public.provider_documents (user_id);
+create index if not exists idx_user_sessions_user on public.user_sessions (user_id, last_active_at desc);
 create index if not exists idx_services_title on public.services (title);
 create index if not exists idx_services_category on public.services (category);
 create index if not exists idx_bookings_provider_created on public.bookings (provider_id, created_at desc);
@@ -60,6 +207,8 @@ create index if not exists idx_bookings_status on public.bookings (status);
 alter table public.users enable row level security;
 alter table public.services enable row level security;
 alter table public.bookings enable row level security;
+alter table public.user_sessions enable row level security;
+alter table public.provider_documents enable row level security;
 
 -- Policies
 drop policy if exists "Public read services" on public.services;
@@ -110,3 +259,195 @@ drop policy if exists "Providers delete services" on public.services;
 create policy "Providers delete services" on public.services for delete using (
   auth.uid() = provider_id
 );
+
+-- Users see and revoke their own sessions on every device
+drop policy if exists "Users select own sessions" on public.user_sessions;
+create policy "Users select own sessions" on public.user_sessions for select using (
+  auth.uid() = user_id
+);
+drop policy if exists "Users insert own sessions" on public.user_sessions;
+create policy "Users insert own sessions" on public.user_sessions for insert with check (
+  auth.uid() = user_id
+);
+drop policy if exists "Users update own sessions" on public.user_sessions;
+create policy "Users update own sessions" on public.user_sessions for update using (
+  auth.uid() = user_id
+);
+
+-- Providers submit and read their own documents; only admins review them
+drop policy if exists "Providers select own documents" on public.provider_documents;
+create policy "Providers select own documents" on public.provider_documents for select using (
+  auth.uid() = user_id
+);
+drop policy if exists "Providers insert own documents" on public.provider_documents;
+create policy "Providers insert own documents" on public.provider_documents for insert with check (
+  auth.uid() = user_id and status = 'submitted' and reviewer_id is null
+);
+drop policy if exists "Admins select documents" on public.provider_documents;
+create policy "Admins select documents" on public.provider_documents for select using (public.is_admin());
+drop policy if exists "Admins update documents" on public.provider_documents;
+create policy "Admins update documents" on public.provider_documents for update using (public.is_admin());
+
+drop policy if exists "Providers upload own document files" on storage.objects;
+create policy "Providers upload own document files" on storage.objects for insert with check (
+  bucket_id = 'provider-documents' and (storage.foldername(name))[1] = auth.uid()::text
+);
+drop policy if exists "Providers read own document files" on storage.objects;
+create policy "Providers read own document files" on storage.objects for select using (
+  bucket_id = 'provider-documents' and (storage.foldername(name))[1] = auth.uid()::text
+);
+drop policy if exists "Admins read document files" on storage.objects;
+create policy "Admins read document files" on storage.objects for select using (
+  bucket_id = 'provider-documents' and public.is_admin()
+);
+
+-- Admins can read and manage every profile and booking
+drop policy if exists "Admins select users" on public.users;
+create policy "Admins select users" on public.users for select using (public.is_admin());
+drop policy if exists "Admins update users" on public.users;
+create policy "Admins update users" on public.users for update using (public.is_admin());
+drop policy if exists "Admins select bookings" on public.bookings;
+create policy "Admins select bookings" on public.bookings for select using (public.is_admin());
+drop policy if exists "Admins update bookings" on public.bookings;
+create policy "Admins update bookings" on public.bookings for update using (public.is_admin());
+drop policy if exists "Admins manage services" on public.services;
+create policy "Admins manage services" on public.services for all using (public.is_admin());
+
+-- Booking codes (js/utils/booking-otp.js)
+-- The customer's device generates each code and stores only its SHA-256
+-- here through issue_booking_otp(); the provider's device checks a code
+-- with verify_booking_otp(). The table has RLS and no policies, so the
+-- hashes are only reachable through these functions. Bookings only move
+-- to in_progress / completed through a verified code (or an admin).
+create table if not exists public.booking_otps (
+  booking_id uuid references public.bookings(id) on delete cascade,
+  type text check (type in ('start', 'end')),
+  code_hash text not null,
+  expires_at timestamp with time zone not null,
+  attempts integer not null default 0,
+  verified_at timestamp with time zone,
+  created_at timestamp with time zone default now(),
+  primary key (booking_id, type)
+);
+
+alter table public.booking_otps enable row level security;
+
+-- Booking status a code is used from
+create or replace function public.booking_otp_status(p_type text) returns text as $$
+  select case p_type when 'start' then 'confirmed' when 'end' then 'in_progress' end;
+$$ language sql immutable;
+
+-- Code limits; keep in step with Constants.BOOKING_OTP in
+-- js/utils/constants.js (MAX_ATTEMPTS, START_EXPIRY_HOURS, END_EXPIRY_HOURS)
+create or replace function public.booking_otp_max_attempts() returns integer as $$
+  select 5;
+$$ language sql immutable;
+
+create or replace function public.booking_otp_lifetime(p_type text) returns interval as $$
+  select case p_type when 'start' then interval '24 hours' when 'end' then interval '12 hours' end;
+$$ language sql immutable;
+
+-- Stores a code's hash and returns its expiry, which the server sets
+drop function if exists public.issue_booking_otp(uuid, text, text, timestamp with time zone);
+create or replace function public.issue_booking_otp(p_booking_id uuid, p_type text, p_code_hash text)
+returns timestamp with time zone as $$
+declare
+  v_booking public.bookings;
+  v_expires_at timestamp with time zone := now() + public.booking_otp_lifetime(p_type);
+begin
+  select * into v_booking from public.bookings where id = p_booking_id and deleted_at is null;
+  if v_booking.id is null or v_booking.customer_id is distinct from auth.uid() then
+    raise exception 'Only the customer can generate booking codes' using errcode = '42501';
+  end if;
+  if v_booking.status is distinct from public.booking_otp_status(p_type) then
+    raise exception 'A % code is not needed for a % booking', p_type, v_booking.status using errcode = '22023';
+  end if;
+
+  insert into public.booking_otps (booking_id, type, code_hash, expires_at)
+  values (p_booking_id, p_type, p_code_hash, v_expires_at)
+  on conflict (booking_id, type) do update
+    set code_hash = excluded.code_hash, expires_at = excluded.expires_at,
+        attempts = 0, verified_at = null, created_at = now();
+
+  perform set_config('quickserve.booking_otp', 'on', true);
+  update public.bookings
+     set otp_state = coalesce(otp_state, '{}'::jsonb) || jsonb_build_object(p_type, jsonb_build_object(
+           'generatedAt', now(), 'expiresAt', v_expires_at, 'attempts', 0, 'verifiedAt', null)),
+         client_updated_at = now()
+   where id = p_booking_id;
+  return v_expires_at;
+end;
+$$ language plpgsql security definer set search_path = public, extensions;
+
+-- Returns { reason, state }: reason is null for a right code, otherwise
+-- status, locked, expired or invalid (after booking_otp_max_attempts())
+create or replace function public.verify_booking_otp(p_booking_id uuid, p_type text, p_code text)
+returns jsonb as $$
+declare
+  v_booking public.bookings;
+  v_otp public.booking_otps;
+  v_reason text;
+  v_state jsonb;
+begin
+  select * into v_booking from public.bookings where id = p_booking_id and deleted_at is null;
+  if v_booking.id is null or v_booking.provider_id is distinct from auth.uid() then
+    raise exception 'Only the provider can verify booking codes' using errcode = '42501';
+  end if;
+
+  select * into v_otp from public.booking_otps where booking_id = p_booking_id and type = p_type for update;
+  if v_otp.booking_id is null or v_otp.verified_at is not null
+     or v_booking.status is distinct from public.booking_otp_status(p_type) then
+    v_reason := 'status';
+  elsif v_otp.attempts >= public.booking_otp_max_attempts() then
+    v_reason := 'locked';
+  elsif now() >= v_otp.expires_at then
+    v_reason := 'expired';
+  else
+    v_otp.attempts := v_otp.attempts + 1;
+    if v_otp.code_hash = encode(digest(p_booking_id::text || ':' || p_type || ':' || btrim(p_code), 'sha256'), 'hex') then
+      v_otp.verified_at := now();
+    elsif v_otp.attempts >= public.booking_otp_max_attempts() then
+      v_reason := 'locked';
+    else
+      v_reason := 'invalid';
+    end if;
+    update public.booking_otps set attempts = v_otp.attempts, verified_at = v_otp.verified_at
+     where booking_id = p_booking_id and type = p_type;
+  end if;
+
+  if v_otp.booking_id is null then
+    return jsonb_build_object('reason', v_reason, 'state', null);
+  end if;
+
+  v_state := jsonb_build_object('generatedAt', v_otp.created_at, 'expiresAt', v_otp.expires_at,
+                                'attempts', v_otp.attempts, 'verifiedAt', v_otp.verified_at);
+  perform set_config('quickserve.booking_otp', 'on', true);
+  update public.bookings
+     set otp_state = coalesce(otp_state, '{}'::jsonb) || jsonb_build_object(p_type, v_state),
+         status = case when v_reason is null
+                       then case p_type when 'start' then 'in_progress' else 'completed' end
+                       else status end,
+         client_updated_at = now()
+   where id = p_booking_id;
+  return jsonb_build_object('reason', v_reason, 'state', v_state);
+end;
+$$ language plpgsql security definer set search_path = public, extensions;
+
+create or replace function public.protect_booking_otp() returns trigger as $$
+begin
+  if auth.uid() is null or public.is_admin()
+     or coalesce(current_setting('quickserve.booking_otp', true), '') = 'on' then
+    return new;
+  end if;
+  if new.status in ('in_progress', 'completed')
+     and (tg_op = 'INSERT' or old.status is distinct from new.status) then
+    raise exception 'Bookings start and complete through verify_booking_otp()' using errcode = '42501';
+  end if;
+  new.otp_state = case when tg_op = 'INSERT' then null else old.otp_state end;
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists bookings_protect_otp on public.bookings;
+create trigger bookings_protect_otp before insert or update on public.bookings
+  for each row execute function public.protect_booking_otp();